@@ -0,0 +1,9 @@
+import { hashApiKey } from './index.js';
+
+// Print the hash to store as `keyHash` in the API clients file
+const apiKey = process.argv[2];
+if (!apiKey) {
+  console.error('Usage: npm run hash-api-key -- <api key>');
+  process.exit(1);
+}
+console.log(hashApiKey(apiKey));
@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import * as ethers from 'ethers';
+import { rateLimit } from 'express-rate-limit';
+import { DATA_RETENTION_MS, createStore } from '../store/index.js';
+import { ApiError } from '../errors.js';
+
+// API client authentication for the signing routes.
+//
+// Clients are listed in API_CLIENTS_FILE (default config/clients.json) with the
+// SHA-256 hash of their API key, never the key itself. A client may instead sign
+// requests with HMAC-SHA256 using a secret read from the env var named in
+// `hmacSecretEnv`. Each client gets a request rate limit and a daily spend quota
+// (gas + native value, per chain) in native token units.
+
+const API_CLIENTS_FILE = path.resolve(process.env.API_CLIENTS_FILE || 'config/clients.json');
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60 * 1000);
+const DEFAULT_RATE_LIMIT = Number(process.env.DEFAULT_RATE_LIMIT || 10);
+const HMAC_MAX_SKEW_MS = Number(process.env.HMAC_MAX_SKEW_MS || 5 * 60 * 1000);
+const CLIENTS_RELOAD_INTERVAL_MS = Number(process.env.API_CLIENTS_RELOAD_INTERVAL_MS || 2000);
+
+// Signatures already accepted, with when their timestamp leaves the skew window; a request
+// can't be replayed while its timestamp is still accepted
+const seenSignatures = new Map();
+
+const ANONYMOUS_CLIENT = { id: 'anonymous', rateLimit: DEFAULT_RATE_LIMIT, dailyQuota: null };
+
+// One record per client, chain and day; past days only matter for reporting
+const spend = createStore('spend', { retention: { maxAgeMs: DATA_RETENTION_MS, canPrune: () => true } });
+
+export const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// Enabled clients, reloaded when the file changes
+let clients = [];
+
+const loadClients = () => {
+  if (!fs.existsSync(API_CLIENTS_FILE)) {
+    clients = [];
+    return;
+  }
+  try {
+    const { clients: listed = [] } = JSON.parse(fs.readFileSync(API_CLIENTS_FILE, 'utf8'));
+    clients = listed.filter((client) => client.enabled !== false);
+  } catch (error) {
+    // A half-written or broken file shouldn't lock every client out
+    console.error(`Invalid clients file ${API_CLIENTS_FILE}, keeping the previous clients:`, error.message);
+  }
+};
+
+loadClients();
+fs.watchFile(API_CLIENTS_FILE, { interval: CLIENTS_RELOAD_INTERVAL_MS }, loadClients).unref();
+
+// Look a client up again later, e.g. when a queued job runs
+export const findApiClient = (id) =>
+  (AUTH_DISABLED && id === ANONYMOUS_CLIENT.id ? ANONYMOUS_CLIENT : clients.find((client) => client.id === id)) || null;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Record a signature, or return false if it was already used; expired ones are dropped first
+const claimSignature = (clientId, signature, timestamp) => {
+  const now = Date.now();
+  for (const [key, expiresAt] of seenSignatures) {
+    if (expiresAt < now) {
+      seenSignatures.delete(key);
+    }
+  }
+  const key = `${clientId}:${signature}`;
+  if (seenSignatures.has(key)) {
+    return false;
+  }
+  seenSignatures.set(key, timestamp + HMAC_MAX_SKEW_MS);
+  return true;
+};
+
+const rejectAuth = (res, status, error) =>
+  res.status(status).json({ success: false, error, timestamp: new Date().toISOString() });
+
+// Keep the raw body around so HMAC signatures can be checked against it
+export const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+
+export const authenticate = (req, res, next) => {
+  if (AUTH_DISABLED) {
+    req.apiClient = ANONYMOUS_CLIENT;
+    return next();
+  }
+
+  const apiKey = req.get('x-api-key');
+  const clientId = req.get('x-client-id');
+  const signature = req.get('x-signature');
+
+  if (apiKey) {
+    const keyHash = hashApiKey(apiKey);
+    const client = clients.find((candidate) => candidate.keyHash && safeEqual(candidate.keyHash, keyHash));
+    if (!client) {
+      return rejectAuth(res, 401, 'Invalid API key');
+    }
+    req.apiClient = client;
+    return next();
+  }
+
+  if (clientId && signature) {
+    const client = clients.find((candidate) => candidate.id === clientId);
+    const secret = client && client.hmacSecretEnv && process.env[client.hmacSecretEnv];
+    if (!secret) {
+      return rejectAuth(res, 401, 'Unknown client or HMAC not enabled for it');
+    }
+
+    const timestamp = Number(req.get('x-timestamp'));
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > HMAC_MAX_SKEW_MS) {
+      return rejectAuth(res, 401, 'Missing or expired x-timestamp header');
+    }
+
+    // Signed payload: `${timestamp}.${METHOD}.${originalUrl}.${rawBody}`
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${req.method}.${req.originalUrl}.${req.rawBody || ''}`)
+      .digest('hex');
+    if (!safeEqual(expected, signature.toLowerCase())) {
+      return rejectAuth(res, 401, 'Invalid request signature');
+    }
+    if (!claimSignature(client.id, expected, timestamp)) {
+      return rejectAuth(res, 401, 'Request signature was already used');
+    }
+    req.apiClient = client;
+    return next();
+  }
+
+  return rejectAuth(res, 401, 'Authentication required. Send x-api-key or x-client-id, x-timestamp and x-signature headers');
+};
+
+// Per-client request rate limit; must run after authenticate
+export const rateLimitClients = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  limit: (req) => (req.apiClient && req.apiClient.rateLimit) || DEFAULT_RATE_LIMIT,
+  keyGenerator: (req) => req.apiClient.id,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: `Rate limit exceeded for client ${req.apiClient.id}. Try again later.`,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export const requireApiClient = [authenticate, rateLimitClients];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const getChainQuota = (client, chain) => {
+  if (!client || !client.dailyQuota) {
+    return null;
+  }
+  return client.dailyQuota[chain] || client.dailyQuota['*'] || null;
+};
+
+// Worst case cost of a transaction: full gas limit at the max price, plus value
+const getTransactionSpend = (unsignedTransaction) => {
+  const pricePerGas = unsignedTransaction.type === 2 ? unsignedTransaction.maxFeePerGas : unsignedTransaction.gasPrice;
+  return {
+    gas: ethers.BigNumber.from(unsignedTransaction.gasLimit).mul(pricePerGas),
+    value: ethers.BigNumber.from(unsignedTransaction.value || 0)
+  };
+};
+
+const subtractSpend = (used, cost) => {
+  const left = ethers.BigNumber.from(used).sub(cost);
+  return left.lt(0) ? '0' : left.toString();
+};
+
+// Give back a charge for a transaction that was never broadcast
+const refundSpend = (key, cost) => {
+  const used = spend.get(key);
+  if (!used) {
+    return;
+  }
+  spend.set(key, {
+    gas: subtractSpend(used.gas, cost.gas),
+    value: subtractSpend(used.value, cost.value),
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// Charge a transaction against the client's daily quota, or throw 403 if it would exceed it.
+// Returns a function that refunds the charge, for the pipeline to call if nothing gets broadcast.
+export const chargeSpend = (client, chain, unsignedTransaction) => {
+  const quota = getChainQuota(client, chain);
+  if (!quota) {
+    return () => {};
+  }
+
+  const key = `${client.id}:${chain}:${today()}`;
+  const used = spend.get(key) || { gas: '0', value: '0' };
+  const cost = getTransactionSpend(unsignedTransaction);
+  const next = {
+    gas: ethers.BigNumber.from(used.gas).add(cost.gas),
+    value: ethers.BigNumber.from(used.value).add(cost.value)
+  };
+
+  for (const field of ['gas', 'value']) {
+    if (quota[field] !== undefined && next[field].gt(ethers.utils.parseEther(String(quota[field])))) {
+      throw new ApiError(
+        `Daily ${field} quota exceeded for client ${client.id} on ${chain}`,
+        403,
+        'QUOTA_EXCEEDED',
+        {
+          quota: String(quota[field]),
+          used: ethers.utils.formatEther(used[field]),
+          requested: ethers.utils.formatEther(cost[field])
+        }
+      );
+    }
+  }
+
+  spend.set(key, { gas: next.gas.toString(), value: next.value.toString(), updatedAt: new Date().toISOString() });
+  let refunded = false;
+  return () => {
+    if (!refunded) {
+      refunded = true;
+      refundSpend(key, cost);
+    }
+  };
+};
+
+// beforeSign hook for the signing pipeline; it returns the refund for the charge
+export const spendGuard = (client, chain) => (unsignedTransaction) => chargeSpend(client, chain, unsignedTransaction);
@@ -0,0 +1,133 @@
+import * as ethers from "ethers";
+import { getEnv, getProvider } from "../lit/utils.js";
+import { createStore } from "../store/index.js";
+import { ApiError } from "../errors.js";
+import { getExplorerRequest } from "../explorers/index.js";
+
+// Verified ABIs from the chain's explorer, for calls that don't bring their own.
+// EIP-1967 proxies are followed to their implementation and both ABIs merged.
+// Results are cached in the "abis" store for ABI_CACHE_TTL_MS, since a proxy can be upgraded.
+// Contracts without a verified ABI are remembered for ABI_NOT_FOUND_CACHE_TTL_MS, so repeated
+// calls to them don't go back to the explorer every time.
+
+// bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ABI_CACHE_TTL_MS = Number(getEnv("ABI_CACHE_TTL_MS") || 1000 * 60 * 60 * 24);
+const ABI_NOT_FOUND_CACHE_TTL_MS = Number(getEnv("ABI_NOT_FOUND_CACHE_TTL_MS") || 1000 * 60 * 10);
+
+const abiCache = createStore("abis");
+
+const fetchVerifiedAbi = async (chain, address) => {
+    try {
+        return JSON.parse(await getExplorerRequest(chain, "contract")({ module: "contract", action: "getabi", address }));
+    } catch (error) {
+        if (error.code !== "CONTRACT_NOT_VERIFIED") {
+            throw error;
+        }
+        console.log(`ℹ️  No verified ABI for ${address} on ${chain}`);
+        return null;
+    }
+};
+
+const getImplementationAddress = async (chain, address) => {
+    const slot = await getProvider(chain).getStorageAt(address, IMPLEMENTATION_SLOT);
+    const implementation = ethers.utils.hexDataSlice(slot, 12);
+    return ethers.BigNumber.from(implementation).isZero() ? null : ethers.utils.getAddress(implementation);
+};
+
+// Proxy entries win; implementation entries the proxy already has, and its constructor, are dropped
+const mergeAbis = (proxyAbi, implementationAbi) => {
+    const seen = new Set();
+    const keyOf = (entry) => (["function", "event", "error"].includes(entry.type)
+        ? `${entry.type}:${ethers.utils.Fragment.from(entry).format()}`
+        : entry.type);
+    return [...proxyAbi, ...implementationAbi.filter((entry) => entry.type !== "constructor")].filter((entry) => {
+        const key = keyOf(entry);
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+};
+
+export const getContractAbi = async (chain, address) => {
+    const key = `${chain}:${address.toLowerCase()}`;
+    const cached = abiCache.get(key);
+    const notFound = (implementation) =>
+        new ApiError(`No verified ABI found for ${address} on ${chain}`, 422, "ABI_NOT_FOUND", { chain, address, implementation });
+    if (cached && cached.abi === null && Date.now() - Date.parse(cached.fetchedAt) < ABI_NOT_FOUND_CACHE_TTL_MS) {
+        throw notFound(cached.implementation);
+    }
+    if (cached && cached.abi !== null && Date.now() - Date.parse(cached.fetchedAt) < ABI_CACHE_TTL_MS) {
+        return cached;
+    }
+    if (!getExplorerRequest(chain, "contract")) {
+        throw new ApiError(`No explorer configured for ${chain}, pass contractABI`, 422, "ABI_NOT_FOUND", { chain, address });
+    }
+
+    console.log(`🔄 Fetching ABI of ${address} from the ${chain} explorer...`);
+    const [abi, implementation] = await Promise.all([
+        fetchVerifiedAbi(chain, address),
+        getImplementationAddress(chain, address).catch(() => null),
+    ]);
+    const implementationAbi = implementation ? await fetchVerifiedAbi(chain, implementation) : null;
+    if (!abi && !implementationAbi) {
+        abiCache.set(key, { chain, address, implementation, abi: null, fetchedAt: new Date().toISOString() });
+        throw notFound(implementation);
+    }
+    console.log(`✅ ABI resolved${implementation ? ` (EIP-1967 proxy for ${implementation})` : ""}`);
+
+    return abiCache.set(key, {
+        chain,
+        address,
+        implementation,
+        abi: mergeAbis(abi || [], implementationAbi || []),
+        fetchedAt: new Date().toISOString(),
+    });
+};
+
+const isSignature = (functionName) => functionName.includes("(");
+
+// ABI and function for a call. Without contractABI the verified ABI is fetched; functionName
+// may then be a plain name or a signature such as "transfer(address,uint256)". A signature
+// is enough on its own when the contract isn't verified.
+export const resolveCallAbi = async ({ chain, contractAddress, contractABI, functionName }) => {
+    if (contractABI) {
+        return { contractABI, functionName };
+    }
+
+    let abi;
+    try {
+        ({ abi } = await getContractAbi(chain, contractAddress));
+    } catch (error) {
+        if (error.code !== "ABI_NOT_FOUND" || !isSignature(functionName)) {
+            throw error;
+        }
+        try {
+            abi = [ethers.utils.FunctionFragment.from(functionName).format(ethers.utils.FormatTypes.full)];
+        } catch (parseError) {
+            throw new ApiError(`${functionName} is not a valid function signature`, 400, "INVALID_SIGNATURE");
+        }
+    }
+
+    let fragment;
+    try {
+        fragment = new ethers.utils.Interface(abi).getFunction(
+            isSignature(functionName) ? ethers.utils.FunctionFragment.from(functionName).format() : functionName
+        );
+    } catch (error) {
+        if (/multiple matching functions/.test(error.message)) {
+            const candidates = abi
+                .filter((entry) => entry.type === "function" && entry.name === functionName)
+                .map((entry) => ethers.utils.FunctionFragment.from(entry).format());
+            throw new ApiError(`${functionName} is overloaded, pass its signature`, 400, "AMBIGUOUS_FUNCTION", { candidates });
+        }
+        throw new ApiError(`Function ${functionName} not found in the ABI of ${contractAddress}`, 400, "UNKNOWN_FUNCTION", {
+            chain,
+            contractAddress,
+        });
+    }
+
+    return { contractABI: abi, functionName: fragment.format() };
+};
@@ -0,0 +1,223 @@
+import * as ethers from "ethers";
+import { getEnv, getProvider } from "../lit/utils.js";
+import { ApiError } from "../errors.js";
+
+const NAMED_BLOCK_TAGS = ["latest", "earliest", "pending", "safe", "finalized"];
+
+// Accepts named tags, block numbers and hex block numbers
+export const isValidBlockTag = (blockTag) => {
+    if (typeof blockTag === "number") {
+        return Number.isInteger(blockTag) && blockTag >= 0;
+    }
+    if (typeof blockTag !== "string") {
+        return false;
+    }
+    return NAMED_BLOCK_TAGS.includes(blockTag) || /^\d+$/.test(blockTag) || /^0x[0-9a-fA-F]+$/.test(blockTag);
+};
+
+const normalizeBlockTag = (blockTag) => {
+    if (typeof blockTag === "string" && /^\d+$/.test(blockTag)) {
+        return Number(blockTag);
+    }
+    return blockTag;
+};
+
+// Convert a decoded ABI value into plain JSON, stringifying BigNumbers
+export const formatDecodedValue = (param, value) => {
+    if (param.baseType === "array") {
+        return value.map((item) => formatDecodedValue(param.arrayChildren, item));
+    }
+    if (param.baseType === "tuple") {
+        const named = param.components.every((component) => component.name);
+        if (!named) {
+            return param.components.map((component, i) => formatDecodedValue(component, value[i]));
+        }
+        return param.components.reduce((tuple, component, i) => {
+            tuple[component.name] = formatDecodedValue(component, value[i]);
+            return tuple;
+        }, {});
+    }
+    if (ethers.BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+    return value;
+};
+
+export const formatDecodedOutputs = (params, decoded) =>
+    params.map((param, i) => ({
+        name: param.name || null,
+        type: param.format(),
+        value: formatDecodedValue(param, decoded[i]),
+    }));
+
+// An unparseable ABI, unknown function or params that don't fit it are the caller's
+// mistake: 400 rather than whatever ethers threw
+export const encodeContractCall = (contractABI, functionName, functionParams) => {
+    try {
+        const contractInterface = new ethers.utils.Interface(contractABI);
+        const fragment = contractInterface.getFunction(functionName);
+        return { contractInterface, fragment, data: contractInterface.encodeFunctionData(fragment, functionParams) };
+    } catch (error) {
+        throw new ApiError(`Invalid contract call: ${error.reason || error.message}`, 400, "INVALID_CONTRACT_CALL", { functionName });
+    }
+};
+
+// Read-only eth_call against the chain RPC; no signing involved
+export const callContract = async (
+    contractAddress,
+    contractABI,
+    functionName,
+    functionParams,
+    { chain = getEnv("CHAIN_TO_SEND_TX_ON"), blockTag = "latest" } = {}
+) => {
+    const { contractInterface, fragment, data } = encodeContractCall(contractABI, functionName, functionParams);
+    const provider = getProvider(chain);
+
+    const returnData = await provider.call(
+        { to: contractAddress, data },
+        normalizeBlockTag(blockTag)
+    );
+    const decoded = contractInterface.decodeFunctionResult(fragment, returnData);
+
+    return {
+        function: fragment.format(),
+        stateMutability: fragment.stateMutability,
+        blockTag,
+        outputs: formatDecodedOutputs(fragment.outputs, decoded),
+    };
+};
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+const PANIC_REASONS = {
+    0x01: "Assertion failed",
+    0x11: "Arithmetic overflow or underflow",
+    0x12: "Division or modulo by zero",
+    0x21: "Invalid enum value",
+    0x22: "Invalid storage byte array access",
+    0x31: "pop() on an empty array",
+    0x32: "Array index out of bounds",
+    0x41: "Out of memory",
+    0x51: "Call to an uninitialized function",
+};
+
+// Dig the revert payload out of the nested errors ethers/JSON-RPC produce
+export const getRevertData = (error) => {
+    let current = error;
+    while (current) {
+        if (typeof current.data === "string" && current.data.startsWith("0x")) {
+            return current.data;
+        }
+        if (current.data && typeof current.data.data === "string") {
+            return current.data.data;
+        }
+        current = current.error;
+    }
+    return null;
+};
+
+// Decode Error(string), Panic(uint256) and custom errors declared in the ABI
+export const decodeRevertReason = (revertData, contractInterface) => {
+    if (!revertData || revertData === "0x") {
+        return { type: "empty", reason: null, data: revertData };
+    }
+
+    const selector = revertData.slice(0, 10).toLowerCase();
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], `0x${revertData.slice(10)}`);
+            return { type: "Error", reason, data: revertData };
+        }
+        if (selector === PANIC_SELECTOR) {
+            const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], `0x${revertData.slice(10)}`);
+            return {
+                type: "Panic",
+                code: code.toHexString(),
+                reason: PANIC_REASONS[code.toNumber()] || `Panic(${code.toHexString()})`,
+                data: revertData,
+            };
+        }
+    } catch (error) {
+        return { type: "unknown", reason: null, data: revertData };
+    }
+
+    if (contractInterface) {
+        try {
+            const parsed = contractInterface.parseError(revertData);
+            return {
+                type: "CustomError",
+                name: parsed.name,
+                signature: parsed.signature,
+                args: formatDecodedOutputs(parsed.errorFragment.inputs, parsed.args),
+                reason: parsed.signature,
+                data: revertData,
+            };
+        } catch (error) {
+            // Not declared in the supplied ABI
+        }
+    }
+
+    return { type: "unknown", reason: null, data: revertData };
+};
+
+// eth_call a transaction; reverts are returned decoded instead of thrown
+export const simulateTransaction = async (provider, transaction, contractInterface, functionName) => {
+    try {
+        const returnData = await provider.call({
+            from: transaction.from,
+            to: transaction.to,
+            data: transaction.data,
+            value: transaction.value,
+        });
+        const fragment = contractInterface.getFunction(functionName);
+        return {
+            success: true,
+            outputs: formatDecodedOutputs(
+                fragment.outputs,
+                contractInterface.decodeFunctionResult(fragment, returnData)
+            ),
+        };
+    } catch (error) {
+        const revertData = getRevertData(error);
+        if (revertData === null && error.code !== ethers.errors.CALL_EXCEPTION) {
+            throw error;
+        }
+        return {
+            success: false,
+            revert: decodeRevertReason(revertData, contractInterface),
+        };
+    }
+};
+
+// Decode receipt logs with the contract ABI, leaving unknown events raw
+export const decodeLogs = (logs, contractInterface) =>
+    logs.map((log) => {
+        const raw = { address: log.address, logIndex: log.logIndex, topics: log.topics, data: log.data };
+        if (!contractInterface) {
+            return raw;
+        }
+        try {
+            const parsed = contractInterface.parseLog(log);
+            return {
+                address: log.address,
+                logIndex: log.logIndex,
+                name: parsed.name,
+                signature: parsed.signature,
+                args: formatDecodedOutputs(parsed.eventFragment.inputs, parsed.args),
+            };
+        } catch (error) {
+            return raw;
+        }
+    });
+
+export const formatReceipt = (receipt, contractInterface) => ({
+    status: receipt.status === 1 ? "success" : "reverted",
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    confirmations: receipt.confirmations,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : null,
+    contractAddress: receipt.contractAddress || null,
+    logs: decodeLogs(receipt.logs, contractInterface),
+});
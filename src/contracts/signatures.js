@@ -0,0 +1,55 @@
+import axios from "axios";
+import * as ethers from "ethers";
+import { getEnv } from "../lit/utils.js";
+import { createStore } from "../store/index.js";
+
+// Function signatures by 4-byte selector from a public signature database, for calldata
+// to contracts without a verified ABI. Selectors are cached in the "signatures" store: found ones for
+// good, unknown ones for SIGNATURE_NOT_FOUND_CACHE_TTL_MS since they may be registered later.
+
+const FOUR_BYTE_API_URL = getEnv("FOUR_BYTE_API_URL") || "https://www.4byte.directory/api/v1/signatures/";
+const SIGNATURE_NOT_FOUND_CACHE_TTL_MS = Number(getEnv("SIGNATURE_NOT_FOUND_CACHE_TTL_MS") || 1000 * 60 * 60);
+
+const signatures = createStore("signatures");
+
+// Text signatures registered for a selector, oldest first
+const lookupSelector = async (selector) => {
+    const cached = signatures.get(selector);
+    if (cached && (cached.signatures.length > 0 || Date.now() - Date.parse(cached.fetchedAt) < SIGNATURE_NOT_FOUND_CACHE_TTL_MS)) {
+        return cached.signatures;
+    }
+    const response = await axios.get(FOUR_BYTE_API_URL, {
+        params: { hex_signature: selector, ordering: "created_at" },
+        timeout: 10000,
+    });
+    const found = response.data.results.map((result) => result.text_signature);
+    signatures.set(selector, { selector, signatures: found, fetchedAt: new Date().toISOString() });
+    return found;
+};
+
+// Fragment and arguments from the first registered signature that fits the calldata, or null
+export const decodeWithSignatureDatabase = async (data) => {
+    const selector = data.slice(0, 10).toLowerCase();
+    let candidates;
+    try {
+        candidates = await lookupSelector(selector);
+    } catch (error) {
+        console.log(`ℹ️  Signature lookup for ${selector} failed: ${error.message}`);
+        return null;
+    }
+
+    for (const signature of candidates) {
+        try {
+            const contractInterface = new ethers.utils.Interface([`function ${signature}`]);
+            const fragment = contractInterface.fragments[0];
+            const args = contractInterface.decodeFunctionData(fragment, data);
+            // Selectors collide, so only accept a signature that re-encodes to the same calldata
+            if (contractInterface.encodeFunctionData(fragment, args).toLowerCase() === data.toLowerCase()) {
+                return { fragment, args };
+            }
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+    return null;
+};
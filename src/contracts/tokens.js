@@ -0,0 +1,47 @@
+import * as ethers from "ethers";
+
+// Minimal token ABIs for transfers, the balance checks before them and token metadata
+
+export const ERC20_ABI = [
+    "function name() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function symbol() view returns (string)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function totalSupply() view returns (uint256)",
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+];
+
+export const ERC721_ABI = [
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+];
+
+export const ERC1155_ABI = [
+    "function balanceOf(address account, uint256 id) view returns (uint256)",
+    "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+];
+
+// Decimals and symbol of an ERC-20; symbol is optional in the standard
+export const getErc20Info = async (provider, tokenAddress) => {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const [decimals, symbol] = await Promise.all([
+        token.decimals(),
+        token.symbol().catch(() => null),
+    ]);
+    return { decimals, symbol };
+};
+
+export const getErc20Balance = (provider, tokenAddress, owner) =>
+    new ethers.Contract(tokenAddress, ERC20_ABI, provider).balanceOf(owner);
+
+export const getErc20TotalSupply = (provider, tokenAddress) =>
+    new ethers.Contract(tokenAddress, ERC20_ABI, provider).totalSupply();
+
+export const getErc721Owner = (provider, tokenAddress, tokenId) =>
+    new ethers.Contract(tokenAddress, ERC721_ABI, provider).ownerOf(tokenId);
+
+export const getErc1155Balance = (provider, tokenAddress, owner, tokenId) =>
+    new ethers.Contract(tokenAddress, ERC1155_ABI, provider).balanceOf(owner, tokenId);
@@ -0,0 +1,10 @@
+// Error carrying the HTTP status a route should answer with, plus an optional machine readable code
+export class ApiError extends Error {
+  constructor(message, statusCode = 500, code = undefined, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getProvider } from '../lit/utils.js';
+import { hasRpc } from './rpc.js';
+
+// Response cache for the explorer APIs, keyed on chain and normalized params.
+// Memory is always the first tier; EXPLORER_CACHE_BACKEND=disk or redis adds a
+// shared second tier that survives restarts. Errors are never cached.
+
+const BACKEND = process.env.EXPLORER_CACHE_BACKEND || 'memory';
+const MAX_MEMORY_ENTRIES = Number(process.env.EXPLORER_CACHE_MAX_ENTRIES || 1000);
+const CACHE_DIR = path.resolve(process.env.DATA_DIR || 'data', 'explorer-cache');
+
+// How long each kind of data is kept
+const TTL_MS = {
+  immutable: Number(process.env.EXPLORER_CACHE_TTL_IMMUTABLE_MS || 1000 * 60 * 60 * 24),
+  list: Number(process.env.EXPLORER_CACHE_TTL_LIST_MS || 30000),
+  balance: Number(process.env.EXPLORER_CACHE_TTL_BALANCE_MS || 10000),
+  default: Number(process.env.EXPLORER_CACHE_TTL_DEFAULT_MS || 60000)
+};
+
+// Blocks behind the head treated as final when the chain's RPC has no `finalized` tag
+const FINALITY_DEPTH = Number(process.env.EXPLORER_CACHE_FINALITY_DEPTH || 64);
+const FINALIZED_BLOCK_REFRESH_MS = Number(process.env.EXPLORER_CACHE_FINALIZED_REFRESH_MS || 30000);
+
+// The block a response is pinned to: a list's numeric endblock or a block reward's blockno
+const getPinnedBlock = (params) => {
+  if (params.action === 'getblockreward') {
+    return /^\d+$/.test(String(params.blockno)) ? Number(params.blockno) : null;
+  }
+  if (['txlist', 'txlistinternal', 'tokentx', 'tokennfttx'].includes(params.action) && !params.txhash) {
+    return /^\d+$/.test(String(params.endblock)) ? Number(params.endblock) : null;
+  }
+  return null;
+};
+
+// ABIs, source, internal transactions by hash and finalized blocks don't change; lists up to
+// `latest` or a block that could still be reorged (or isn't mined yet) do, as do balances.
+// finalizedBlock is null when it isn't known, which keeps block-pinned responses short-lived.
+export const getCacheKind = (params, finalizedBlock = null) => {
+  const pinned = getPinnedBlock(params);
+  const final = pinned !== null && finalizedBlock !== null && pinned <= finalizedBlock;
+  switch (params.action) {
+    case 'getabi':
+    case 'getsourcecode':
+    case 'getblocknobytime':
+      return 'immutable';
+    case 'txlistinternal':
+      return params.txhash || final ? 'immutable' : 'list';
+    case 'getblockreward':
+    case 'txlist':
+    case 'tokentx':
+    case 'tokennfttx':
+      return final ? 'immutable' : 'list';
+    case 'balance':
+    case 'balancemulti':
+    case 'tokenbalance':
+      return 'balance';
+    default:
+      return 'default';
+  }
+};
+
+// Latest finalized block per chain, refreshed at most every FINALIZED_BLOCK_REFRESH_MS. Asks the
+// RPC for its `finalized` block, then falls back to the head minus FINALITY_DEPTH from the RPC
+// or the explorer's proxy module. null when neither can say.
+const finalizedBlocks = new Map();
+
+const fetchFinalizedBlock = async (chain, request) => {
+  if (hasRpc(chain)) {
+    const provider = getProvider(chain);
+    try {
+      return (await provider.getBlock('finalized')).number;
+    } catch (error) {
+      try {
+        return (await provider.getBlockNumber()) - FINALITY_DEPTH;
+      } catch (rpcError) {
+        // Try the explorer below
+      }
+    }
+  }
+  try {
+    return Number(await request({ module: 'proxy', action: 'eth_blockNumber' })) - FINALITY_DEPTH;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getFinalizedBlock = async (chain, request) => {
+  const cached = finalizedBlocks.get(chain);
+  if (cached && Date.now() - cached.fetchedAt < FINALIZED_BLOCK_REFRESH_MS) {
+    return cached.number;
+  }
+  const number = await fetchFinalizedBlock(chain, request);
+  finalizedBlocks.set(chain, { number: Number.isFinite(number) ? number : null, fetchedAt: Date.now() });
+  return finalizedBlocks.get(chain).number;
+};
+
+// Same query, same key: sorted params, hex values lowercased, no API key
+const getCacheKey = (chain, params) => {
+  const normalized = Object.keys(params)
+    .filter((name) => name !== 'apikey' && params[name] !== undefined)
+    .sort()
+    .map((name) => {
+      const value = String(params[name]).trim();
+      return `${name}=${/^0x[0-9a-fA-F,x]*$/.test(value) ? value.toLowerCase() : value}`;
+    })
+    .join('&');
+  return `explorer:${chain}:${crypto.createHash('sha256').update(normalized).digest('hex')}`;
+};
+
+const createMemoryBackend = () => {
+  const entries = new Map();
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // Re-insert so the map stays in least recently used order
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    set: async (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > MAX_MEMORY_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+};
+
+// One JSON file per key under DATA_DIR/explorer-cache
+const createDiskBackend = () => {
+  const fileFor = (key) => path.join(CACHE_DIR, `${key.replace(/:/g, '_')}.json`);
+  return {
+    get: async (key) => {
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        if (entry.expiresAt <= Date.now()) {
+          await fs.promises.unlink(fileFor(key)).catch(() => {});
+          return null;
+        }
+        return entry;
+      } catch (error) {
+        return null;
+      }
+    },
+    set: async (key, entry) => {
+      await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+      const tmp = `${fileFor(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(entry));
+      await fs.promises.rename(tmp, fileFor(key));
+    }
+  };
+};
+
+// Any server speaking the Redis protocol; the client is only loaded when configured
+const createRedisBackend = () => {
+  let lastError = null;
+  const client = import('ioredis').then(({ default: Redis }) => {
+    // Commands fail straight away while disconnected; ioredis keeps reconnecting in the background
+    const redis = new Redis(process.env.EXPLORER_CACHE_REDIS_URL || 'redis://localhost:6379', {
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1
+    });
+    redis.on('error', (error) => {
+      if (error.message !== lastError) {
+        console.error('Explorer cache Redis error:', error.message);
+      }
+      lastError = error.message;
+    });
+    redis.on('ready', () => {
+      lastError = null;
+    });
+    return redis;
+  });
+  client.catch((error) => {
+    console.error('Explorer cache Redis client could not be loaded:', error.message);
+  });
+  return {
+    get: async (key) => {
+      const value = await (await client).get(key);
+      return value ? JSON.parse(value) : null;
+    },
+    set: async (key, entry) => {
+      await (await client).set(key, JSON.stringify(entry), 'PX', Math.max(1, entry.expiresAt - Date.now()));
+    }
+  };
+};
+
+const memory = createMemoryBackend();
+const createSharedBackend = { disk: createDiskBackend, redis: createRedisBackend }[BACKEND];
+const shared = createSharedBackend ? createSharedBackend() : null;
+if (BACKEND !== 'memory' && !shared) {
+  console.error(`Unknown EXPLORER_CACHE_BACKEND ${BACKEND}, using memory only`);
+}
+
+// The cache must never take the explorer routes down with it
+const readShared = (key) => (shared ? shared.get(key).catch(() => null) : null);
+const writeShared = (key, entry) => {
+  if (shared) {
+    shared.set(key, entry).catch(() => {});
+  }
+};
+
+// Identical requests that arrive while one is in flight share its response
+const inFlight = new Map();
+
+// Wraps an explorer request function. Resolves to { result, cache: { status, age } } where
+// status is HIT, MISS or BYPASS and age the seconds since the response was fetched.
+export const createCachedRequest = (chain, request) => async (params, { bypass = false } = {}) => {
+  const key = getCacheKey(chain, params);
+
+  if (!bypass) {
+    const entry = (await memory.get(key)) || (await readShared(key));
+    if (entry) {
+      await memory.set(key, entry);
+      return { result: entry.value, cache: { status: 'HIT', age: Math.floor((Date.now() - entry.storedAt) / 1000) } };
+    }
+  }
+
+  if (!inFlight.has(key)) {
+    inFlight.set(key, (async () => {
+      const value = await request(params);
+      // Only block-pinned responses need the finalized block
+      const finalizedBlock = getPinnedBlock(params) === null ? null : await getFinalizedBlock(chain, request);
+      const entry = { value, storedAt: Date.now(), expiresAt: Date.now() + TTL_MS[getCacheKind(params, finalizedBlock)] };
+      await memory.set(key, entry);
+      writeShared(key, entry);
+      return value;
+    })().finally(() => {
+      inFlight.delete(key);
+    }));
+  }
+  const result = await inFlight.get(key);
+  return { result, cache: { status: bypass ? 'BYPASS' : 'MISS', age: 0 } };
+};
@@ -0,0 +1,48 @@
+// Etherscan-compatible explorers, mounted at /explorer/<key>. A new chain only needs an
+// entry here: the base URL (env override, then default), the env var holding its API key
+// and the API modules it supports. rateLimitPerSecond overrides EXPLORER_RATE_LIMIT_PER_SECOND.
+
+export const ALL_MODULES = ['account', 'contract', 'transaction', 'block', 'stats'];
+
+export const EXPLORER_CHAINS = {
+  baseSepolia: {
+    name: 'Base Sepolia',
+    symbol: 'ETH',
+    baseUrlEnv: 'BASE_SEPOLIA_EXPLORER_URL',
+    defaultBaseUrl: 'https://api-sepolia.basescan.org/api',
+    apiKeyEnv: 'BASE_SEPOLIA_EXPLORER_API_KEY',
+    modules: ALL_MODULES
+  },
+  mantle: {
+    name: 'Mantle',
+    symbol: 'MNT',
+    baseUrlEnv: 'MANTLE_EXPLORER_API_BASE_URL',
+    defaultBaseUrl: 'https://api.mantlescan.xyz/api',
+    apiKeyEnv: 'MANTLE_EXPLORER_API_KEY',
+    modules: ALL_MODULES
+  },
+  mantleSepolia: {
+    name: 'Mantle Sepolia',
+    symbol: 'MNT',
+    baseUrlEnv: 'MANTLE_SEPOLIA_EXPLORER_API_BASE_URL',
+    defaultBaseUrl: 'https://api-sepolia.mantlescan.xyz/api',
+    apiKeyEnv: 'MANTLE_SEPOLIA_EXPLORER_API_KEY',
+    modules: ALL_MODULES
+  },
+  sepolia: {
+    name: 'Ethereum Sepolia',
+    symbol: 'ETH',
+    baseUrlEnv: 'SEPOLIA_EXPLORER_API_BASE_URL',
+    defaultBaseUrl: 'https://api-sepolia.etherscan.io/api',
+    apiKeyEnv: 'SEPOLIA_EXPLORER_API_KEY',
+    modules: ALL_MODULES
+  },
+  arbitrum: {
+    name: 'Arbitrum One',
+    symbol: 'ETH',
+    baseUrlEnv: 'ARBITRUM_EXPLORER_API_BASE_URL',
+    defaultBaseUrl: 'https://api.arbiscan.io/api',
+    apiKeyEnv: 'ARBITRUM_EXPLORER_API_KEY',
+    modules: ALL_MODULES
+  }
+};
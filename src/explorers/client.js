@@ -0,0 +1,124 @@
+import axios from 'axios';
+import { ApiError } from '../errors.js';
+
+// Upstream client for the Etherscan-style explorer APIs: a token bucket per API key,
+// a request timeout, jittered exponential backoff on rate limits, 5xx and network
+// errors, and explorer error messages mapped to HTTP status codes.
+
+const RATE_LIMIT_PER_SECOND = Number(process.env.EXPLORER_RATE_LIMIT_PER_SECOND || 5);
+const TIMEOUT_MS = Number(process.env.EXPLORER_TIMEOUT_MS || 10000);
+const MAX_RETRIES = Number(process.env.EXPLORER_MAX_RETRIES || 3);
+const RETRY_BASE_DELAY_MS = Number(process.env.EXPLORER_RETRY_BASE_DELAY_MS || 500);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One bucket per API key, so chains sharing a key share its limit. Callers queue for tokens in order.
+const buckets = new Map();
+
+const takeToken = (apiKey, ratePerSecond) => {
+  if (!buckets.has(apiKey)) {
+    buckets.set(apiKey, { tokens: ratePerSecond, updatedAt: Date.now(), queue: Promise.resolve() });
+  }
+  const bucket = buckets.get(apiKey);
+  const refill = () => {
+    const now = Date.now();
+    bucket.tokens = Math.min(ratePerSecond, bucket.tokens + ((now - bucket.updatedAt) / 1000) * ratePerSecond);
+    bucket.updatedAt = now;
+  };
+
+  const turn = bucket.queue.then(async () => {
+    refill();
+    if (bucket.tokens < 1) {
+      await sleep(Math.ceil(((1 - bucket.tokens) / ratePerSecond) * 1000));
+      refill();
+    }
+    bucket.tokens -= 1;
+  });
+  bucket.queue = turn;
+  return turn;
+};
+
+// Full jitter: anywhere between 0 and the exponential delay for this attempt
+const backoffDelay = (attempt) => Math.random() * RETRY_BASE_DELAY_MS * 2 ** attempt;
+
+// Marks an error worth another attempt, optionally not before retryAfterMs
+const retryable = (error, retryAfterMs = null) => Object.assign(error, { retryable: true, retryAfterMs });
+
+const NO_RESULTS = /^No (transactions|records|token transfers?|internal transactions) found/i;
+const RATE_LIMITED = /rate limit/i;
+
+// Explorer replies with status '0' carry the reason in result (or message when result is empty)
+const toExplorerError = (config, data) => {
+  const reason = typeof data.result === 'string' && data.result ? data.result : data.message || 'API request failed';
+  const message = `${config.name} Explorer API Error: ${reason}`;
+
+  if (RATE_LIMITED.test(reason)) {
+    return retryable(new ApiError(message, 429, 'UPSTREAM_RATE_LIMITED'));
+  }
+  if (/invalid api ?key|missing.*api ?key/i.test(reason)) {
+    return new ApiError(message, 502, 'EXPLORER_API_KEY_INVALID');
+  }
+  if (/not verified/i.test(reason)) {
+    return new ApiError(message, 404, 'CONTRACT_NOT_VERIFIED');
+  }
+  if (/invalid|error! /i.test(reason)) {
+    return new ApiError(message, 400, 'INVALID_EXPLORER_PARAMS');
+  }
+  return new ApiError(message, 502, 'UPSTREAM_ERROR');
+};
+
+const toTransportError = (config, error) => {
+  const message = `${config.name} Explorer API Error: ${error.message}`;
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return retryable(new ApiError(message, 504, 'UPSTREAM_TIMEOUT'));
+  }
+  const status = error.response ? error.response.status : null;
+  if (status === 429) {
+    const retryAfter = Number(error.response.headers['retry-after']);
+    return retryable(new ApiError(message, 429, 'UPSTREAM_RATE_LIMITED'), Number.isFinite(retryAfter) ? retryAfter * 1000 : null);
+  }
+  // 5xx and connection failures are worth another try; other 4xx are not
+  const upstreamError = new ApiError(message, 502, 'UPSTREAM_ERROR', { upstreamStatus: status });
+  return status === null || status >= 500 ? retryable(upstreamError) : upstreamError;
+};
+
+// Request function for one explorer chain config (see chains.js)
+export const createExplorerClient = (config) => async (params) => {
+  const apiKey = process.env[config.apiKeyEnv];
+  if (!apiKey) {
+    throw new ApiError(`${config.apiKeyEnv} environment variable is not set`, 503, 'EXPLORER_NOT_CONFIGURED');
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await takeToken(apiKey, config.rateLimitPerSecond || RATE_LIMIT_PER_SECOND);
+
+    let error;
+    try {
+      const response = await axios.get(process.env[config.baseUrlEnv] || config.defaultBaseUrl, {
+        params: {
+          ...params,
+          apikey: apiKey
+        },
+        timeout: TIMEOUT_MS
+      });
+
+      if (response.data.status !== '0') {
+        return response.data.result;
+      }
+      // An empty list is an answer, not an error
+      if (NO_RESULTS.test(response.data.message || '') || NO_RESULTS.test(String(response.data.result))) {
+        return [];
+      }
+      error = toExplorerError(config, response.data);
+    } catch (requestError) {
+      error = toTransportError(config, requestError);
+    }
+
+    if (!error.retryable || attempt >= MAX_RETRIES) {
+      throw error;
+    }
+    const delay = Math.max(backoffDelay(attempt), error.retryAfterMs || 0);
+    console.log(`ℹ️  ${config.name} explorer: ${error.code}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${MAX_RETRIES})`);
+    await sleep(delay);
+  }
+};
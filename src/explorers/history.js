@@ -0,0 +1,151 @@
+import * as ethers from 'ethers';
+import { getExplorerRequest } from './index.js';
+import { EXPLORER_CHAINS } from './chains.js';
+import { getContractAbi } from '../contracts/abi.js';
+import { decodeWithSignatureDatabase } from '../contracts/signatures.js';
+import { formatDecodedOutputs } from '../contracts/index.js';
+
+const directionOf = (address, from, to) => {
+  const self = address.toLowerCase();
+  if ((from || '').toLowerCase() === self) {
+    return (to || '').toLowerCase() === self ? 'self' : 'out';
+  }
+  return 'in';
+};
+
+// Method and arguments from the verified ABI of the target, else the signature database
+const decodeInput = async (chain, tx, interfaces) => {
+  if (!tx.to || !tx.input || tx.input === '0x') {
+    return null;
+  }
+  const selector = tx.input.slice(0, 10);
+
+  const to = tx.to.toLowerCase();
+  if (!interfaces.has(to)) {
+    interfaces.set(to, getContractAbi(chain, tx.to)
+      .then(({ abi }) => new ethers.utils.Interface(abi))
+      .catch(() => null));
+  }
+  const contractInterface = await interfaces.get(to);
+  if (contractInterface) {
+    try {
+      const parsed = contractInterface.parseTransaction({ data: tx.input, value: tx.value });
+      return {
+        name: parsed.name,
+        signature: parsed.signature,
+        selector,
+        source: 'abi',
+        args: formatDecodedOutputs(parsed.functionFragment.inputs, parsed.args)
+      };
+    } catch (error) {
+      // Not in the ABI (e.g. a proxy we couldn't follow), fall through
+    }
+  }
+
+  const decoded = await decodeWithSignatureDatabase(tx.input);
+  if (decoded) {
+    return {
+      name: decoded.fragment.name,
+      signature: decoded.fragment.format(),
+      selector,
+      source: 'signature-database',
+      args: formatDecodedOutputs(decoded.fragment.inputs, decoded.args)
+    };
+  }
+  return { name: null, signature: null, selector, source: null, args: [] };
+};
+
+// One entry per transaction hash, with the token transfers and internal transactions it caused
+const buildTimeline = async (chain, address, { transactions, tokenTransfers, internalTransactions }, sort) => {
+  const entries = new Map();
+  const entryFor = (row) => {
+    if (!entries.has(row.hash)) {
+      entries.set(row.hash, {
+        hash: row.hash,
+        blockNumber: Number(row.blockNumber),
+        timestamp: new Date(Number(row.timeStamp) * 1000).toISOString(),
+        from: null,
+        to: null,
+        direction: null,
+        contractAddress: null,
+        status: null,
+        value: null,
+        fee: null,
+        method: null,
+        tokenTransfers: [],
+        internalTransactions: []
+      });
+    }
+    return entries.get(row.hash);
+  };
+
+  // Decoded one at a time so a long page doesn't flood the explorer with ABI lookups
+  const interfaces = new Map();
+  for (const tx of transactions) {
+    Object.assign(entryFor(tx), {
+      from: tx.from,
+      to: tx.to || null,
+      direction: directionOf(address, tx.from, tx.to),
+      contractAddress: tx.contractAddress || null,
+      status: tx.isError === '1' || tx.txreceipt_status === '0' ? 'failed' : 'success',
+      value: ethers.utils.formatEther(tx.value),
+      fee: ethers.utils.formatEther(ethers.BigNumber.from(tx.gasUsed).mul(tx.gasPrice)),
+      method: await decodeInput(chain, tx, interfaces)
+    });
+  }
+
+  for (const transfer of tokenTransfers) {
+    const decimals = Number(transfer.tokenDecimal || 0);
+    entryFor(transfer).tokenTransfers.push({
+      token: transfer.contractAddress,
+      name: transfer.tokenName || null,
+      symbol: transfer.tokenSymbol || null,
+      decimals,
+      from: transfer.from,
+      to: transfer.to,
+      direction: directionOf(address, transfer.from, transfer.to),
+      amount: ethers.utils.formatUnits(transfer.value, decimals)
+    });
+  }
+
+  for (const internal of internalTransactions) {
+    entryFor(internal).internalTransactions.push({
+      from: internal.from,
+      to: internal.to,
+      direction: directionOf(address, internal.from, internal.to),
+      type: internal.type || null,
+      status: internal.isError === '1' ? 'failed' : 'success',
+      value: ethers.utils.formatEther(internal.value)
+    });
+  }
+
+  return [...entries.values()].sort((a, b) => (sort === 'asc' ? a.blockNumber - b.blockNumber : b.blockNumber - a.blockNumber));
+};
+
+// Transactions of an address with decoded methods, formatted amounts, token transfers and
+// internal transactions merged per hash. page/offset apply to each of the three lists.
+export const getDecodedHistory = async (chain, address, query, options = {}) => {
+  const request = getExplorerRequest(chain, 'account');
+  const sort = query.sort === 'asc' ? 'asc' : 'desc';
+  const params = {
+    module: 'account',
+    address,
+    startblock: query.startblock || '0',
+    endblock: query.endblock || 'latest',
+    page: query.page || '1',
+    offset: query.offset || '10',
+    sort
+  };
+
+  const [transactions, tokenTransfers, internalTransactions] = await Promise.all([
+    request({ ...params, action: 'txlist' }, options),
+    request({ ...params, action: 'tokentx' }, options),
+    request({ ...params, action: 'txlistinternal' }, options)
+  ]);
+  return {
+    chain,
+    address,
+    nativeSymbol: EXPLORER_CHAINS[chain].symbol,
+    transactions: await buildTimeline(chain, address, { transactions, tokenTransfers, internalTransactions }, sort)
+  };
+};
@@ -0,0 +1,342 @@
+import express from 'express';
+import { ApiError } from '../errors.js';
+import { EXPLORER_CHAINS } from './chains.js';
+import { createExplorerClient } from './client.js';
+import { createCachedRequest } from './cache.js';
+import { createRpcClient, hasRpc, supportsRpc } from './rpc.js';
+import { getDecodedHistory } from './history.js';
+import { INDEXER_ENABLED, getIndexedChains } from '../indexer/indexer.js';
+import { canQueryIndex, queryIndex } from '../indexer/query.js';
+
+const requests = Object.fromEntries(
+  Object.entries(EXPLORER_CHAINS).map(([chain, config]) => [chain, createCachedRequest(chain, createExplorerClient(config))])
+);
+
+const rpcRequests = Object.fromEntries(
+  Object.keys(EXPLORER_CHAINS)
+    .filter(hasRpc)
+    .map((chain) => [chain, createCachedRequest(`${chain}:rpc`, createRpcClient(chain))])
+);
+
+const chainName = (chain) => (EXPLORER_CHAINS[chain] ? EXPLORER_CHAINS[chain].name : chain);
+
+// Explorer first. When the explorer isn't configured or fails, balances, token supply and receipt
+// status fall back to the chain's RPC, and transaction and token transfer lists of watched
+// addresses to the local indexer. Chains without an explorer only have the indexer.
+// Resolves to { result, cache, source }; cache is null for indexer answers.
+const requestWithFallback = async (chain, params, options) => {
+  if (!requests[chain]) {
+    if (!canQueryIndex(chain, params)) {
+      throw new ApiError(`${chain} has no explorer and the indexer doesn't hold this address`, 404, 'NOT_INDEXED');
+    }
+    return { result: queryIndex(chain, params), cache: null, source: 'indexer' };
+  }
+  try {
+    return { ...(await requests[chain](params, options)), source: 'explorer' };
+  } catch (error) {
+    const fallback = canQueryIndex(chain, params) ? 'indexer' : rpcRequests[chain] && supportsRpc(params) ? 'rpc' : null;
+    if (!fallback) {
+      throw error;
+    }
+    // Without an API key this is the normal path, not worth a log line
+    if (error.code !== 'EXPLORER_NOT_CONFIGURED') {
+      console.log(`ℹ️  ${chainName(chain)} explorer: ${error.code || error.message}, answering ${params.action} from the ${fallback}`);
+    }
+    try {
+      if (fallback === 'indexer') {
+        return { result: queryIndex(chain, params), cache: null, source: 'indexer' };
+      }
+      return { ...(await rpcRequests[chain](params, options)), source: 'rpc' };
+    } catch (fallbackError) {
+      throw new ApiError(
+        `${chainName(chain)} ${fallback === 'rpc' ? 'RPC' : 'indexer'} fallback failed: ${fallbackError.reason || fallbackError.message}`,
+        502,
+        'UPSTREAM_ERROR',
+        { explorerError: error.message }
+      );
+    }
+  }
+};
+
+// Cached explorer request function for a chain, or null if it has no explorer or lacks the module
+export const getExplorerRequest = (chain, module) => {
+  const config = EXPLORER_CHAINS[chain];
+  if (!config || (module && !config.modules.includes(module))) {
+    return null;
+  }
+  return async (params, options) => (await requests[chain](params, options)).result;
+};
+
+export const getExplorerChains = () => Object.keys(EXPLORER_CHAINS);
+
+// Cache-Control: no-cache or ?cache=false skips the cached copy (and refreshes it)
+const bypassesCache = (req) => /no-cache|no-store/.test(req.get('cache-control') || '') || req.query.cache === 'false';
+
+// Input validation middlewares
+const validateAddressParam = (name) => (req, res, next) => {
+  if (!/^0x[a-fA-F0-9]{40}$/.test(req.params[name])) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid address format',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+const validateTxHash = (req, res, next) => {
+  if (!/^0x[a-fA-F0-9]{64}$/.test(req.params.txhash)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid transaction hash format',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+const validateAddressList = (req, res, next) => {
+  const { addresses } = req.body;
+  if (!Array.isArray(addresses) || addresses.length === 0 || addresses.length > 20) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid addresses array. Must contain 1-20 addresses.',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+const pageParams = (query) => ({
+  startblock: query.startblock || '0',
+  endblock: query.endblock || 'latest',
+  page: query.page || '1',
+  offset: query.offset || '10',
+  sort: query.sort || 'desc'
+});
+
+// Token transfer lists can be narrowed to one token
+const transferParams = (action) => (req) => {
+  const params = { action, address: req.params.address, ...pageParams(req.query) };
+  if (req.query.contractaddress) {
+    params.contractaddress = req.query.contractaddress;
+  }
+  return params;
+};
+
+// Every explorer route: path(s), API module, validators and the query sent upstream.
+// indexed routes can also be answered by the local indexer.
+const ROUTES = [
+  // Account Routes
+  {
+    method: 'get',
+    path: '/balance/:address',
+    module: 'account',
+    validators: [validateAddressParam('address')],
+    params: (req) => ({ action: 'balance', address: req.params.address, tag: 'latest' })
+  },
+  {
+    method: 'post',
+    path: '/balances',
+    module: 'account',
+    validators: [validateAddressList],
+    params: (req) => ({ action: 'balancemulti', address: req.body.addresses.join(','), tag: 'latest' })
+  },
+  {
+    method: 'get',
+    path: '/transactions/:address',
+    module: 'account',
+    indexed: true,
+    validators: [validateAddressParam('address')],
+    params: (req) => ({ action: 'txlist', address: req.params.address, ...pageParams(req.query) })
+  },
+  {
+    method: 'get',
+    path: '/internal-transactions/:address',
+    module: 'account',
+    validators: [validateAddressParam('address')],
+    params: (req) => ({ action: 'txlistinternal', address: req.params.address, ...pageParams(req.query) })
+  },
+  {
+    method: 'get',
+    // /internal-tx/:txhash is the old Mantle path, kept as an alias
+    path: ['/internal-transactions-by-txhash/:txhash', '/internal-tx/:txhash'],
+    module: 'account',
+    validators: [validateTxHash],
+    params: (req) => ({ action: 'txlistinternal', txhash: req.params.txhash })
+  },
+  {
+    method: 'get',
+    path: '/token-transfers/:address',
+    module: 'account',
+    indexed: true,
+    validators: [validateAddressParam('address')],
+    params: transferParams('tokentx')
+  },
+  {
+    method: 'get',
+    path: '/nft-transfers/:address',
+    module: 'account',
+    indexed: true,
+    validators: [validateAddressParam('address')],
+    params: transferParams('tokennfttx')
+  },
+  {
+    method: 'get',
+    path: '/token/balance/:contractaddress/:address',
+    module: 'account',
+    validators: [validateAddressParam('contractaddress'), validateAddressParam('address')],
+    params: (req) => ({
+      action: 'tokenbalance',
+      contractaddress: req.params.contractaddress,
+      address: req.params.address,
+      tag: 'latest'
+    })
+  },
+
+  // Contract Routes
+  {
+    method: 'get',
+    path: '/contract/abi/:address',
+    module: 'contract',
+    validators: [validateAddressParam('address')],
+    params: (req) => ({ action: 'getabi', address: req.params.address })
+  },
+  {
+    method: 'get',
+    path: '/contract/source/:address',
+    module: 'contract',
+    validators: [validateAddressParam('address')],
+    params: (req) => ({ action: 'getsourcecode', address: req.params.address })
+  },
+
+  // Transaction Routes
+  {
+    method: 'get',
+    path: '/transaction/status/:txhash',
+    module: 'transaction',
+    validators: [validateTxHash],
+    params: (req) => ({ action: 'getstatus', txhash: req.params.txhash })
+  },
+  {
+    method: 'get',
+    path: '/transaction/receipt/:txhash',
+    module: 'transaction',
+    validators: [validateTxHash],
+    params: (req) => ({ action: 'gettxreceiptstatus', txhash: req.params.txhash })
+  },
+
+  // Block Routes
+  {
+    method: 'get',
+    path: '/block/reward/:blockno',
+    module: 'block',
+    validators: [],
+    params: (req) => ({ action: 'getblockreward', blockno: req.params.blockno })
+  },
+  {
+    method: 'get',
+    path: '/block/countdown/:blockno',
+    module: 'block',
+    validators: [],
+    params: (req) => ({ action: 'getblockcountdown', blockno: req.params.blockno })
+  },
+  {
+    method: 'get',
+    path: '/block/bytimestamp/:timestamp',
+    module: 'block',
+    validators: [],
+    params: (req) => ({ action: 'getblocknobytime', timestamp: req.params.timestamp, closest: req.query.closest || 'before' })
+  },
+
+  // Token Routes
+  {
+    method: 'get',
+    path: '/token/supply/:contractaddress',
+    module: 'stats',
+    validators: [validateAddressParam('contractaddress')],
+    params: (req) => ({ action: 'tokensupply', contractaddress: req.params.contractaddress })
+  }
+];
+
+// The full route set for one chain, limited to the modules its explorer supports;
+// just the indexed routes for a chain without an explorer
+export const createExplorerRouter = (chain) => {
+  const config = EXPLORER_CHAINS[chain];
+  const router = express.Router();
+
+  for (const route of ROUTES.filter(({ module, indexed }) => (config ? config.modules.includes(module) : indexed))) {
+    router[route.method](route.path, ...route.validators, async (req, res) => {
+      try {
+        const { result, cache, source } = await requestWithFallback(
+          chain,
+          { module: route.module, ...route.params(req) },
+          { bypass: bypassesCache(req) }
+        );
+        if (cache) {
+          res.set({ 'X-Cache': cache.status, Age: String(cache.age) });
+        }
+        res.json({ success: true, data: result, source, timestamp: new Date().toISOString() });
+      } catch (error) {
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          details: error.details,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  // Transactions with decoded methods, token transfers and internal transactions merged per hash
+  if (config && config.modules.includes('account')) {
+    router.get('/transactions/:address/decoded', validateAddressParam('address'), async (req, res) => {
+      try {
+        const data = await getDecodedHistory(chain, req.params.address, req.query, { bypass: bypassesCache(req) });
+        res.json({ success: true, data, timestamp: new Date().toISOString() });
+      } catch (error) {
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          details: error.details,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  return router;
+};
+
+// Every configured chain under /explorer/:chain
+const router = express.Router();
+for (const chain of getExplorerChains()) {
+  router.use(`/${chain}`, createExplorerRouter(chain));
+}
+
+// Indexed chains without an explorer get the indexed routes, built on first use
+const indexerRouters = new Map();
+
+router.use('/:chain', (req, res, next) => {
+  const { chain } = req.params;
+  if (EXPLORER_CHAINS[chain]) {
+    return next();
+  }
+  if (INDEXER_ENABLED && getIndexedChains().includes(chain)) {
+    if (!indexerRouters.has(chain)) {
+      indexerRouters.set(chain, createExplorerRouter(chain));
+    }
+    return indexerRouters.get(chain)(req, res, next);
+  }
+  res.status(404).json({
+    success: false,
+    error: `Unsupported chain. Explorer chains: ${getExplorerChains().join(', ')}${
+      INDEXER_ENABLED ? `; indexed chains: ${getIndexedChains().join(', ')}` : ''
+    }`,
+    timestamp: new Date().toISOString()
+  });
+});
+
+export default router;
@@ -0,0 +1,36 @@
+import { getChainInfo, getProvider } from '../lit/utils.js';
+import { getErc20Balance, getErc20TotalSupply } from '../contracts/tokens.js';
+
+// Explorer actions plain JSON-RPC can answer, with results in the explorer's response format
+// so clients see the same data whichever source answered.
+const RPC_ACTIONS = {
+  balance: async (provider, params) => (await provider.getBalance(params.address)).toString(),
+  balancemulti: (provider, params) => Promise.all(
+    params.address.split(',').map(async (account) => ({
+      account,
+      balance: (await provider.getBalance(account)).toString()
+    }))
+  ),
+  tokenbalance: async (provider, params) =>
+    (await getErc20Balance(provider, params.contractaddress, params.address)).toString(),
+  tokensupply: async (provider, params) => (await getErc20TotalSupply(provider, params.contractaddress)).toString(),
+  // Empty status for a transaction that isn't mined (or known) yet, like the explorer
+  gettxreceiptstatus: async (provider, params) => {
+    const receipt = await provider.getTransactionReceipt(params.txhash);
+    return { status: receipt && receipt.status !== undefined ? String(receipt.status) : '' };
+  }
+};
+
+// Only chains with a known RPC URL can fall back
+export const hasRpc = (chain) => {
+  try {
+    return Boolean(getChainInfo(chain).rpcUrl);
+  } catch (error) {
+    return false;
+  }
+};
+
+export const supportsRpc = (params) => Object.prototype.hasOwnProperty.call(RPC_ACTIONS, params.action);
+
+// Request function with the explorer client's signature, backed by the chain's RPC
+export const createRpcClient = (chain) => async (params) => RPC_ACTIONS[params.action](getProvider(chain), params);
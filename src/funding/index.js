@@ -0,0 +1,46 @@
+import express from 'express';
+import { getFundingStatus, listFundingLog } from '../lit/funding.js';
+import { getAllowedChains } from '../lit/utils.js';
+import { requireApiClient } from '../auth/index.js';
+
+const router = express.Router();
+
+router.use(requireApiClient);
+
+// Funding rules and today's total per allowed chain
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, data: getAllowedChains().map(getFundingStatus), timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+// Funding transactions, newest first; filter with ?chain=, ?pkp= and ?limit=
+router.get('/log', (req, res) => {
+  const { chain, pkp } = req.query;
+  const limit = Number(req.query.limit || 100);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be an integer between 1 and 1000',
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (pkp !== undefined && !/^0x[a-fA-F0-9]{40}$/.test(pkp)) {
+    return res.status(400).json({
+      success: false,
+      error: 'pkp must be a PKP ethAddress',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: listFundingLog({ chain, pkpAddress: pkp, limit }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+export default router;
@@ -2,15 +2,35 @@ import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import helmet from 'helmet';
-import explorerRoutes from './explorers/baseSepolia/index.js';
-import mantleExplorerRoutes from './explorers/mantle/index.js';
-import { signAndExecuteContractTx } from './lit/index.js';
+import explorerRoutes from './explorers/index.js';
+import transactionRoutes from './transactions/index.js';
+import jobRoutes from './jobs/index.js';
+import pkpRoutes from './pkps/index.js';
+import fundingRoutes from './funding/index.js';
+import signRoutes from './sign/index.js';
+import transferRoutes from './transfers/index.js';
+import indexerRoutes from './indexer/index.js';
+import { enqueueJob, startJobWorker, stopJobWorker } from './jobs/queue.js';
+import { INDEXER_ENABLED, startIndexer, stopIndexer } from './indexer/indexer.js';
+import { closeIndexDb } from './indexer/db.js';
+import { signAndExecuteContractTx, signAndExecuteBatch } from './lit/index.js';
+import { deployContract } from './lit/deploy.js';
+import { getLitSessionStatus, shutdownLitSession, warmUpLitSession } from './lit/session.js';
+import { getCapacityStatus } from './lit/capacity.js';
+import { getAllowedChains, getProvider, isAllowedChain } from './lit/utils.js';
+import { getNonceStatus, resyncNonces } from './lit/nonce.js';
+import { validateFeeOptions } from './lit/fees.js';
+import { captureRawBody, requireApiClient, spendGuard } from './auth/index.js';
+import { getPolicyStatus } from './policy/index.js';
+import { callContract, encodeContractCall, isValidBlockTag } from './contracts/index.js';
+import { resolveCallAbi } from './contracts/abi.js';
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
+const BATCH_MAX_CALLS = Number(process.env.BATCH_MAX_CALLS || 10);
 
 // Test contract configuration
 const TEST_CONTRACT = {
@@ -45,42 +65,52 @@ const TEST_CONTRACT = {
   ]
 };
 
-// Input validation middleware
-const validateContractInput = (req, res, next) => {
-  const { contractAddress, contractABI, functionName, functionParams } = req.body;
+// Input validation: returns an error message for an invalid contract call, or null
+const getContractInputError = ({ contractAddress, contractABI, functionName, functionParams, chain, pkp }) => {
+  // Check if required fields are present; without contractABI it comes from the explorer
+  if (!contractAddress || !functionName || !functionParams) {
+    return 'Missing required fields. Please provide contractAddress, functionName, and functionParams';
+  }
 
-  // Check if required fields are present
-  if (!contractAddress || !contractABI || !functionName || !functionParams) {
-    return res.status(400).json({
-      success: false,
-      error: 'Missing required fields. Please provide contractAddress, contractABI, functionName, and functionParams',
-      timestamp: new Date().toISOString()
-    });
+  if (typeof functionName !== 'string') {
+    return 'functionName must be a function name or signature';
   }
 
   // Validate contract address format
   if (!/^0x[a-fA-F0-9]{40}$/.test(contractAddress)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid contract address format',
-      timestamp: new Date().toISOString()
-    });
+    return 'Invalid contract address format';
   }
 
   // Validate ABI is an array
-  if (!Array.isArray(contractABI)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Contract ABI must be an array',
-      timestamp: new Date().toISOString()
-    });
+  if (contractABI !== undefined && !Array.isArray(contractABI)) {
+    return 'Contract ABI must be an array';
   }
 
   // Validate functionParams is an array
   if (!Array.isArray(functionParams)) {
+    return 'Function parameters must be an array';
+  }
+
+  // Validate the optional target chain against the allow-list
+  if (chain !== undefined && (typeof chain !== 'string' || !isAllowedChain(chain))) {
+    return `Unsupported chain. Allowed chains: ${getAllowedChains().join(', ') || 'none'}`;
+  }
+
+  // Optional PKP selector: label, ethAddress or public key from /pkps
+  if (pkp !== undefined && (typeof pkp !== 'string' || !pkp)) {
+    return 'pkp must be a PKP label, ethAddress or public key';
+  }
+
+  return null;
+};
+
+// Input validation middleware
+const validateContractInput = (req, res, next) => {
+  const error = getContractInputError(req.body);
+  if (error) {
     return res.status(400).json({
       success: false,
-      error: 'Function parameters must be an array',
+      error,
       timestamp: new Date().toISOString()
     });
   }
@@ -91,7 +121,7 @@ const validateContractInput = (req, res, next) => {
 // Middleware setup
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 
@@ -102,21 +132,88 @@ app.get('/', (req, res) => {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+  res.json({ status: 'healthy', lit: getLitSessionStatus(), policy: getPolicyStatus(), timestamp: new Date().toISOString() });
+});
+
+// Capacity credits: rate left in the current window and expiry
+app.get('/lit/capacity', (req, res) => {
+  res.json({ success: true, data: getCapacityStatus(), timestamp: new Date().toISOString() });
 });
 
 // Mantle contract interaction endpoint
-app.post('/execute-contract', validateContractInput, async (req, res) => {
+app.post('/execute-contract', requireApiClient, validateContractInput, async (req, res) => {
   try {
     const {
       contractAddress,
-      contractABI,
-      functionName,
       functionParams,
-      value = "0"
+      value = "0",
+      chain = process.env.CHAIN_TO_SEND_TX_ON,
+      dryRun = false,
+      waitForConfirmations = 0,
+      fees,
+      pkp,
+      async = false
     } = req.body;
 
-    console.log(`📝 Executing contract interaction:
+    const feeError = validateFeeOptions(fees);
+    if (feeError) {
+      return res.status(400).json({
+        success: false,
+        error: feeError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'dryRun must be a boolean',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!Number.isInteger(waitForConfirmations) || waitForConfirmations < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'waitForConfirmations must be a non-negative integer',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (typeof async !== 'boolean' || (async && dryRun)) {
+      return res.status(400).json({
+        success: false,
+        error: 'async must be a boolean and cannot be combined with dryRun',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { contractABI, functionName } = await resolveCallAbi({ ...req.body, chain });
+    // A call that can't be encoded is a 400 now rather than a failed job later
+    encodeContractCall(contractABI, functionName, functionParams);
+
+    // Queue the job and answer right away; progress is at GET /jobs/:id
+    if (async) {
+      const job = enqueueJob('execute-contract', {
+        contractAddress,
+        contractABI,
+        functionName,
+        functionParams,
+        value,
+        chain,
+        fees,
+        pkp,
+        clientId: req.apiClient.id
+      });
+      return res.status(202).json({
+        success: true,
+        data: { jobId: job.id, status: job.status, statusUrl: `/jobs/${job.id}` },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`📝 ${dryRun ? 'Simulating' : 'Executing'} contract interaction:
+            - Chain: ${chain}
             - Contract: ${contractAddress}
             - Function: ${functionName}
             - Params: ${JSON.stringify(functionParams)}
@@ -128,7 +225,16 @@ app.post('/execute-contract', validateContractInput, async (req, res) => {
       contractABI,
       functionName,
       functionParams,
-      value
+      value,
+      {
+        chain,
+        dryRun,
+        waitForConfirmations,
+        fees,
+        pkp,
+        clientId: req.apiClient.id,
+        beforeSign: spendGuard(req.apiClient, chain)
+      }
     );
 
     if (!result) {
@@ -139,6 +245,16 @@ app.post('/execute-contract', validateContractInput, async (req, res) => {
       });
     }
 
+    // Mined but reverted on chain
+    if (result.receipt && result.receipt.status === 'reverted') {
+      return res.status(422).json({
+        success: false,
+        error: 'Transaction reverted',
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     res.json({
       success: true,
       data: result,
@@ -147,22 +263,319 @@ app.post('/execute-contract', validateContractInput, async (req, res) => {
         functionName,
         functionParams,
         value,
+        chain,
+        dryRun,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
     console.error('Contract Interaction Error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+      code: error.code,
+      details: error.details,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Input validation for deployments: returns an error message, or null
+const getDeployInputError = ({ contractABI, bytecode, constructorArgs = [], value = '0', salt, chain, pkp }) => {
+  if (!Array.isArray(contractABI)) {
+    return 'Contract ABI must be an array';
+  }
+
+  if (typeof bytecode !== 'string' || !/^0x([a-fA-F0-9]{2})+$/.test(bytecode)) {
+    return 'bytecode must be a 0x-prefixed hex string';
+  }
+
+  if (!Array.isArray(constructorArgs)) {
+    return 'constructorArgs must be an array';
+  }
+
+  if (typeof value !== 'string' || !/^\d+(\.\d+)?$/.test(value)) {
+    return 'value must be a decimal amount in native units';
+  }
+
+  // Optional CREATE2 salt: bytes32 hex, or any other string to hash
+  if (salt !== undefined && (typeof salt !== 'string' || !salt)) {
+    return 'salt must be a non-empty string';
+  }
+
+  if (chain !== undefined && (typeof chain !== 'string' || !isAllowedChain(chain))) {
+    return `Unsupported chain. Allowed chains: ${getAllowedChains().join(', ') || 'none'}`;
+  }
+
+  if (pkp !== undefined && (typeof pkp !== 'string' || !pkp)) {
+    return 'pkp must be a PKP label, ethAddress or public key';
+  }
+
+  return null;
+};
+
+// Deploy a contract from the PKP, with CREATE or through a CREATE2 factory when a salt is given
+app.post('/deploy-contract', requireApiClient, async (req, res) => {
+  try {
+    const {
+      contractABI,
+      bytecode,
+      constructorArgs = [],
+      value = '0',
+      salt,
+      chain = process.env.CHAIN_TO_SEND_TX_ON,
+      waitForConfirmations = 0,
+      fees,
+      pkp
+    } = req.body;
+
+    const inputError = getDeployInputError(req.body) || validateFeeOptions(fees);
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: inputError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!Number.isInteger(waitForConfirmations) || waitForConfirmations < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'waitForConfirmations must be a non-negative integer',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`📝 Deploying contract:
+            - Chain: ${chain}
+            - Mode: ${salt === undefined ? 'CREATE' : 'CREATE2'}
+            - Constructor args: ${JSON.stringify(constructorArgs)}
+            - Value: ${value} ETH
+        `);
+
+    const result = await deployContract(
+      { abi: contractABI, bytecode, constructorArgs, value, salt },
+      {
+        chain,
+        waitForConfirmations,
+        fees,
+        pkp,
+        clientId: req.apiClient.id,
+        beforeSign: spendGuard(req.apiClient, chain)
+      }
+    );
+
+    // Mined but reverted on chain
+    if (result.receipt && result.receipt.status === 'reverted') {
+      return res.status(422).json({
+        success: false,
+        error: 'Deployment reverted',
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(201).json({ success: true, data: result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Contract Deployment Error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+      code: error.code,
+      details: error.details,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Read-only contract call endpoint (view/pure functions, no PKP signing)
+app.post('/call-contract', validateContractInput, async (req, res) => {
+  try {
+    const {
+      contractAddress,
+      functionParams,
+      chain = process.env.CHAIN_TO_SEND_TX_ON,
+      blockTag = 'latest'
+    } = req.body;
+
+    if (!isValidBlockTag(blockTag)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid block tag. Use latest, earliest, pending, safe, finalized or a block number',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { contractABI, functionName } = await resolveCallAbi({ ...req.body, chain });
+    const result = await callContract(
+      contractAddress,
+      contractABI,
+      functionName,
+      functionParams,
+      { chain, blockTag }
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        contractAddress,
+        functionName,
+        functionParams,
+        chain,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Contract Call Error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+      code: error.code,
+      details: error.details,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Batch contract execution: ordered calls, consecutive nonces, one signing session
+app.post('/execute-batch', requireApiClient, async (req, res) => {
+  try {
+    const {
+      calls,
+      chain = process.env.CHAIN_TO_SEND_TX_ON,
+      stopOnFailure = false,
+      waitForConfirmations = 0,
+      fees,
+      pkp
+    } = req.body;
+
+    if (!Array.isArray(calls) || calls.length === 0 || calls.length > BATCH_MAX_CALLS) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid calls array. Must contain 1-${BATCH_MAX_CALLS} calls.`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const validationErrors = calls
+      .map((call, index) => {
+        const error = getContractInputError({ ...call, chain: req.body.chain, pkp });
+        if (error) {
+          return { index, error };
+        }
+        if (call.gasLimit !== undefined && !/^\d+$/.test(String(call.gasLimit))) {
+          return { index, error: 'gasLimit must be a positive integer' };
+        }
+        return null;
+      })
+      .filter(Boolean);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid calls',
+        details: validationErrors,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const feeError = validateFeeOptions(fees);
+    if (typeof stopOnFailure !== 'boolean' || !Number.isInteger(waitForConfirmations) || waitForConfirmations < 0 || feeError) {
+      return res.status(400).json({
+        success: false,
+        error: feeError || 'stopOnFailure must be a boolean and waitForConfirmations a non-negative integer',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Calls without contractABI get the verified one from the explorer
+    const resolvedCalls = await Promise.all(calls.map(async (call) => ({
+      ...call,
+      ...(await resolveCallAbi({ ...call, chain }))
+    })));
+
+    console.log(`📝 Executing batch of ${calls.length} contract call(s) on ${chain}`);
+
+    const result = await signAndExecuteBatch(resolvedCalls, {
+      chain,
+      stopOnFailure,
+      waitForConfirmations,
+      fees,
+      pkp,
+      clientId: req.apiClient.id,
+      beforeSign: spendGuard(req.apiClient, chain)
+    });
+    const allSucceeded = result.results.every((call) => ['broadcast', 'confirmed'].includes(call.status));
+
+    // 207 when only some of the calls went through
+    res.status(allSucceeded ? 200 : 207).json({
+      success: allSucceeded,
+      data: result,
+      metadata: {
+        chain,
+        stopOnFailure,
+        calls: calls.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Batch Execution Error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Internal server error',
+      code: error.code,
+      details: error.details,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+// Nonce manager inspection for a signer (PKP or funding wallet)
+const validateNonceParams = (req, res, next) => {
+  const { chain, address } = req.params;
+  if (!isAllowedChain(chain)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported chain. Allowed chains: ${getAllowedChains().join(', ') || 'none'}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid address format',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+app.get('/nonces/:chain/:address', validateNonceParams, async (req, res) => {
+  try {
+    const { chain, address } = req.params;
+    const result = await getNonceStatus(getProvider(chain), chain, address);
+    res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+app.post('/nonces/:chain/:address/resync', requireApiClient, validateNonceParams, async (req, res) => {
+  try {
+    const { chain, address } = req.params;
+    const nextNonce = await resyncNonces(getProvider(chain), chain, address);
+    res.json({ success: true, data: { chain, address, nextNonce }, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
 // Test contract endpoint
-app.get('/test-contract', async (req, res) => {
+app.get('/test-contract', requireApiClient, async (req, res) => {
   try {
     console.log(`📝 Executing test contract interaction:
             - Contract: ${TEST_CONTRACT.address}
@@ -179,7 +592,11 @@ app.get('/test-contract', async (req, res) => {
       TEST_CONTRACT.abi,
       functionName,
       functionParams,
-      "0"
+      "0",
+      {
+        clientId: req.apiClient.id,
+        beforeSign: spendGuard(req.apiClient, process.env.CHAIN_TO_SEND_TX_ON)
+      }
     );
 
     if (!result) {
@@ -202,9 +619,11 @@ app.get('/test-contract', async (req, res) => {
     });
   } catch (error) {
     console.error('Test Contract Interaction Error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Internal server error',
+      code: error.code,
+      details: error.details,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
       timestamp: new Date().toISOString()
     });
@@ -222,11 +641,50 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.use('/explorer/baseSepolia', explorerRoutes);
-app.use('/explorer/mantle', mantleExplorerRoutes);
+app.use('/explorer', explorerRoutes);
+app.use('/transactions', transactionRoutes);
+app.use('/jobs', jobRoutes);
+app.use('/pkps', pkpRoutes);
+app.use('/funding', fundingRoutes);
+app.use('/sign', signRoutes);
+app.use('/transfer', transferRoutes);
+app.use('/indexer', indexerRoutes);
 
 // Start server
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Server running on port ${port}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+
+  startJobWorker().catch((error) => {
+    console.error('Job worker failed to start:', error);
+  });
+
+  if (INDEXER_ENABLED) {
+    startIndexer();
+  }
+
+  // Connect to Lit up front so the first signing request doesn't pay for it
+  if (process.env.LIT_WARM_UP !== 'false') {
+    warmUpLitSession(process.env.CHAIN_TO_SEND_TX_ON).catch((error) => {
+      console.error('Lit warm-up failed, will connect on first request:', error.message);
+    });
+  }
+});
+
+// Graceful shutdown: close the long-lived Lit connection
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down...`);
+  server.close();
+  stopJobWorker();
+  stopIndexer();
+  closeIndexDb();
+  try {
+    await shutdownLitSession();
+  } catch (error) {
+    console.error('Error disconnecting from Lit network:', error);
+  }
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
\ No newline at end of file
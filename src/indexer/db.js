@@ -0,0 +1,225 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// SQLite store for the indexer. Every row carries the hash of the block it came
+// from, so a reorg is undone by deleting everything from the first replaced block.
+
+const DB_PATH = path.resolve(process.env.INDEXER_DB_PATH || path.join(process.env.DATA_DIR || 'data', 'indexer.sqlite'));
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS cursors (
+    chain TEXT PRIMARY KEY,
+    next_block INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    chain TEXT NOT NULL,
+    number INTEGER NOT NULL,
+    hash TEXT NOT NULL,
+    parent_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (chain, number)
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    chain TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    transaction_index INTEGER NOT NULL,
+    nonce INTEGER NOT NULL,
+    from_address TEXT NOT NULL,
+    to_address TEXT,
+    value TEXT NOT NULL,
+    gas TEXT NOT NULL,
+    gas_price TEXT NOT NULL,
+    gas_used TEXT NOT NULL,
+    cumulative_gas_used TEXT NOT NULL,
+    input TEXT NOT NULL,
+    contract_address TEXT,
+    status INTEGER NOT NULL,
+    PRIMARY KEY (chain, hash)
+  );
+  CREATE INDEX IF NOT EXISTS transactions_from ON transactions (chain, from_address, block_number);
+  CREATE INDEX IF NOT EXISTS transactions_to ON transactions (chain, to_address, block_number);
+  CREATE TABLE IF NOT EXISTS token_transfers (
+    chain TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    transaction_index INTEGER NOT NULL,
+    standard TEXT NOT NULL,
+    token TEXT NOT NULL,
+    from_address TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    value TEXT,
+    token_id TEXT,
+    PRIMARY KEY (chain, transaction_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS token_transfers_from ON token_transfers (chain, from_address, block_number);
+  CREATE INDEX IF NOT EXISTS token_transfers_to ON token_transfers (chain, to_address, block_number);
+  CREATE TABLE IF NOT EXISTS tokens (
+    chain TEXT NOT NULL,
+    address TEXT NOT NULL,
+    name TEXT,
+    symbol TEXT,
+    decimals INTEGER,
+    PRIMARY KEY (chain, address)
+  );
+`;
+
+let db = null;
+let statements = null;
+
+const open = () => {
+  if (db) {
+    return statements;
+  }
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  statements = {
+    getCursor: db.prepare('SELECT next_block AS nextBlock FROM cursors WHERE chain = ?'),
+    setCursor: db.prepare(`
+      INSERT INTO cursors (chain, next_block) VALUES (?, ?)
+      ON CONFLICT (chain) DO UPDATE SET next_block = excluded.next_block
+    `),
+    getBlock: db.prepare('SELECT number, hash, parent_hash AS parentHash FROM blocks WHERE chain = ? AND number = ?'),
+    listBlocksDesc: db.prepare('SELECT number, hash FROM blocks WHERE chain = ? ORDER BY number DESC'),
+    insertBlock: db.prepare(`
+      INSERT OR REPLACE INTO blocks (chain, number, hash, parent_hash, timestamp)
+      VALUES (@chain, @number, @hash, @parentHash, @timestamp)
+    `),
+    pruneBlocks: db.prepare('DELETE FROM blocks WHERE chain = ? AND number < ?'),
+    insertTransaction: db.prepare(`
+      INSERT OR REPLACE INTO transactions (
+        chain, hash, block_number, block_hash, timestamp, transaction_index, nonce, from_address, to_address,
+        value, gas, gas_price, gas_used, cumulative_gas_used, input, contract_address, status
+      ) VALUES (
+        @chain, @hash, @blockNumber, @blockHash, @timestamp, @transactionIndex, @nonce, @from, @to,
+        @value, @gas, @gasPrice, @gasUsed, @cumulativeGasUsed, @input, @contractAddress, @status
+      )
+    `),
+    insertTokenTransfer: db.prepare(`
+      INSERT OR REPLACE INTO token_transfers (
+        chain, transaction_hash, log_index, block_number, block_hash, timestamp, transaction_index,
+        standard, token, from_address, to_address, value, token_id
+      ) VALUES (
+        @chain, @transactionHash, @logIndex, @blockNumber, @blockHash, @timestamp, @transactionIndex,
+        @standard, @token, @from, @to, @value, @tokenId
+      )
+    `),
+    getToken: db.prepare('SELECT name, symbol, decimals FROM tokens WHERE chain = ? AND address = ?'),
+    insertToken: db.prepare(`
+      INSERT OR REPLACE INTO tokens (chain, address, name, symbol, decimals)
+      VALUES (@chain, @address, @name, @symbol, @decimals)
+    `),
+    deleteBlocksFrom: db.prepare('DELETE FROM blocks WHERE chain = ? AND number >= ?'),
+    deleteTransactionsFrom: db.prepare('DELETE FROM transactions WHERE chain = ? AND block_number >= ?'),
+    deleteTokenTransfersFrom: db.prepare('DELETE FROM token_transfers WHERE chain = ? AND block_number >= ?'),
+    counts: db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM transactions WHERE chain = @chain) AS transactions,
+        (SELECT COUNT(*) FROM token_transfers WHERE chain = @chain) AS tokenTransfers
+    `)
+  };
+  return statements;
+};
+
+export const closeIndexDb = () => {
+  if (db) {
+    db.close();
+    db = null;
+    statements = null;
+  }
+};
+
+export const getCursor = (chain) => {
+  const row = open().getCursor.get(chain);
+  return row ? row.nextBlock : null;
+};
+
+export const setCursor = (chain, nextBlock) => {
+  open().setCursor.run(chain, nextBlock);
+};
+
+export const getIndexedBlock = (chain, number) => open().getBlock.get(chain, number) || null;
+
+// Stored (unfinalized) blocks, newest first
+export const listIndexedBlocks = (chain) => open().listBlocksDesc.all(chain);
+
+// One block's rows and the cursor move together, so a crash never leaves half a block
+export const saveBlock = (chain, { block, transactions, tokenTransfers }, keepBlocks) => {
+  const s = open();
+  db.transaction(() => {
+    s.insertBlock.run({ chain, ...block });
+    for (const tx of transactions) {
+      s.insertTransaction.run({ chain, ...tx });
+    }
+    for (const transfer of tokenTransfers) {
+      s.insertTokenTransfer.run({ chain, ...transfer });
+    }
+    s.pruneBlocks.run(chain, block.number - keepBlocks);
+    s.setCursor.run(chain, block.number + 1);
+  })();
+};
+
+// Undo every block from `number` on and index again from there
+export const rollbackFrom = (chain, number) => {
+  const s = open();
+  db.transaction(() => {
+    s.deleteBlocksFrom.run(chain, number);
+    s.deleteTransactionsFrom.run(chain, number);
+    s.deleteTokenTransfersFrom.run(chain, number);
+    s.setCursor.run(chain, number);
+  })();
+};
+
+export const getToken = (chain, address) => open().getToken.get(chain, address) || null;
+
+export const saveToken = (chain, token) => {
+  open().insertToken.run({ chain, ...token });
+};
+
+const pageQuery = (chain, address, { startBlock, endBlock, page, offset }) => ({
+  chain,
+  address,
+  startBlock,
+  endBlock,
+  limit: offset,
+  skip: (page - 1) * offset
+});
+
+export const listTransactions = (chain, address, query) => {
+  const order = query.sort === 'asc' ? 'ASC' : 'DESC';
+  open();
+  return db.prepare(`
+    SELECT * FROM transactions
+    WHERE chain = @chain AND (from_address = @address OR to_address = @address)
+      AND block_number BETWEEN @startBlock AND @endBlock
+    ORDER BY block_number ${order}, transaction_index ${order}
+    LIMIT @limit OFFSET @skip
+  `).all(pageQuery(chain, address, query));
+};
+
+// Transfers with the token's name, symbol and decimals; standard is erc20 or erc721
+export const listTokenTransfers = (chain, address, standard, query) => {
+  const order = query.sort === 'asc' ? 'ASC' : 'DESC';
+  open();
+  return db.prepare(`
+    SELECT t.*, k.name AS token_name, k.symbol AS token_symbol, k.decimals AS token_decimals
+    FROM token_transfers t
+    LEFT JOIN tokens k ON k.chain = t.chain AND k.address = t.token
+    WHERE t.chain = @chain AND t.standard = @standard AND (t.from_address = @address OR t.to_address = @address)
+      AND (@token IS NULL OR t.token = @token)
+      AND t.block_number BETWEEN @startBlock AND @endBlock
+    ORDER BY t.block_number ${order}, t.log_index ${order}
+    LIMIT @limit OFFSET @skip
+  `).all({ ...pageQuery(chain, address, query), standard, token: query.token || null });
+};
+
+export const getIndexCounts = (chain) => open().counts.get({ chain });
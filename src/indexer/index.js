@@ -0,0 +1,64 @@
+import express from 'express';
+import { getIndexCounts } from './db.js';
+import { INDEXER_ENABLED, getIndexedChains, getIndexerStatus, getWatchedAddresses } from './indexer.js';
+import { queryIndex } from './query.js';
+
+const router = express.Router();
+
+const errorResponse = (res, status, error) =>
+  res.status(status).json({ success: false, error, timestamp: new Date().toISOString() });
+
+// Same checks and paging params as the explorer routes; only indexed chains and watched addresses
+const validateIndexedAddress = (req, res, next) => {
+  if (!getIndexedChains().includes(req.params.chain)) {
+    return errorResponse(res, 404, `Chain ${req.params.chain} is not indexed. Indexed chains: ${getIndexedChains().join(', ')}`);
+  }
+  if (!/^0x[a-fA-F0-9]{40}$/.test(req.params.address)) {
+    return errorResponse(res, 400, 'Invalid address format');
+  }
+  if (req.query.contractaddress && !/^0x[a-fA-F0-9]{40}$/.test(req.query.contractaddress)) {
+    return errorResponse(res, 400, 'Invalid contractaddress format');
+  }
+  const badParam = ['startblock', 'endblock', 'page', 'offset'].find((name) =>
+    req.query[name] !== undefined && !/^\d+$/.test(req.query[name]) && !(name === 'endblock' && req.query[name] === 'latest'));
+  if (badParam) {
+    return errorResponse(res, 400, `${badParam} must be a non-negative integer`);
+  }
+  if (!getWatchedAddresses().has(req.params.address.toLowerCase())) {
+    return errorResponse(res, 404, 'Address is not watched by the indexer');
+  }
+  next();
+};
+
+// Same rows the explorer routes fall back to
+const listRoute = (action) => (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: queryIndex(req.params.chain, { ...req.query, action, address: req.params.address }),
+      source: 'indexer',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Indexer query error:', error);
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+};
+
+router.get('/status', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: INDEXER_ENABLED,
+      watchedAddresses: [...getWatchedAddresses()],
+      chains: getIndexedChains().map((chain) => ({ chain, ...getIndexerStatus(chain), ...getIndexCounts(chain) }))
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/:chain/transactions/:address', validateIndexedAddress, listRoute('txlist'));
+router.get('/:chain/token-transfers/:address', validateIndexedAddress, listRoute('tokentx'));
+router.get('/:chain/nft-transfers/:address', validateIndexedAddress, listRoute('tokennfttx'));
+
+export default router;
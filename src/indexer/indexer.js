@@ -0,0 +1,229 @@
+import * as ethers from 'ethers';
+import { getAllowedChains, getProvider } from '../lit/utils.js';
+import { listPkpAddresses } from '../lit/pkps.js';
+import { ERC20_ABI } from '../contracts/tokens.js';
+import {
+  getCursor,
+  setCursor,
+  getIndexedBlock,
+  listIndexedBlocks,
+  saveBlock,
+  rollbackFrom,
+  getToken,
+  saveToken
+} from './db.js';
+
+// Follows new blocks over JSON-RPC and stores what touches a watched address: the
+// transactions it sent or received and the ERC-20/721 Transfer logs it is party to.
+// The last INDEXER_REORG_DEPTH block hashes are kept; when a new block doesn't extend
+// the stored chain, blocks are rolled back to the common ancestor and indexed again.
+
+export const INDEXER_ENABLED = process.env.INDEXER_ENABLED === 'true';
+const INDEXER_POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_INTERVAL_MS || 5000);
+const INDEXER_BATCH_BLOCKS = Number(process.env.INDEXER_BATCH_BLOCKS || 20);
+const INDEXER_REORG_DEPTH = Number(process.env.INDEXER_REORG_DEPTH || 64);
+// First block on a fresh database; the chain head when unset
+const INDEXER_START_BLOCK = process.env.INDEXER_START_BLOCK ? Number(process.env.INDEXER_START_BLOCK) : null;
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+// Chains to index: INDEXER_CHAINS (comma separated), defaulting to ALLOWED_CHAINS
+export const getIndexedChains = () =>
+  process.env.INDEXER_CHAINS
+    ? process.env.INDEXER_CHAINS.split(',').map((chain) => chain.trim()).filter(Boolean)
+    : getAllowedChains();
+
+// Every PKP plus INDEXER_WATCH_ADDRESSES, lowercased. Addresses added later are indexed from then on.
+export const getWatchedAddresses = () => {
+  const extra = (process.env.INDEXER_WATCH_ADDRESSES || '').split(',').map((address) => address.trim()).filter(Boolean);
+  return new Set([...listPkpAddresses(), ...extra].map((address) => address.toLowerCase()));
+};
+
+const status = new Map();
+let timer = null;
+let running = false;
+
+export const getIndexerStatus = (chain) => ({ nextBlock: getCursor(chain), head: null, lastError: null, ...status.get(chain) });
+
+const updateStatus = (chain, patch) => {
+  status.set(chain, { ...status.get(chain), ...patch });
+};
+
+const addressTopic = (address) => ethers.utils.hexZeroPad(address, 32);
+const topicAddress = (topic) => ethers.utils.hexDataSlice(topic, 12).toLowerCase();
+
+// Transfer logs from or to a watched address; ERC-721 indexes the token id, ERC-20 puts the amount in data
+const fetchTransfers = async (provider, watched, fromBlock, toBlock) => {
+  const topics = [...watched].map(addressTopic);
+  const [sent, received] = await Promise.all([
+    provider.getLogs({ fromBlock, toBlock, topics: [TRANSFER_TOPIC, topics] }),
+    provider.getLogs({ fromBlock, toBlock, topics: [TRANSFER_TOPIC, null, topics] })
+  ]);
+
+  // A transfer between two watched addresses comes back from both queries
+  const logs = new Map();
+  for (const log of [...sent, ...received]) {
+    logs.set(`${log.transactionHash}:${log.logIndex}`, log);
+  }
+  return [...logs.values()]
+    .map((log) => {
+      const transfer = {
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionIndex: log.transactionIndex,
+        token: log.address.toLowerCase(),
+        from: topicAddress(log.topics[1]),
+        to: topicAddress(log.topics[2])
+      };
+      if (log.topics.length === 4) {
+        return { ...transfer, standard: 'erc721', value: null, tokenId: ethers.BigNumber.from(log.topics[3]).toString() };
+      }
+      if (log.topics.length === 3 && ethers.utils.hexDataLength(log.data) === 32) {
+        return { ...transfer, standard: 'erc20', value: ethers.BigNumber.from(log.data).toString(), tokenId: null };
+      }
+      return null;
+    })
+    .filter(Boolean);
+};
+
+// Name, symbol and decimals are looked up once per token; all are optional
+const rememberToken = async (chain, provider, address) => {
+  if (getToken(chain, address)) {
+    return;
+  }
+  const token = new ethers.Contract(address, ERC20_ABI, provider);
+  const [name, symbol, decimals] = await Promise.all([
+    token.name().catch(() => null),
+    token.symbol().catch(() => null),
+    token.decimals().catch(() => null)
+  ]);
+  saveToken(chain, { address, name, symbol, decimals });
+};
+
+const toTransactionRow = (block, tx, receipt) => ({
+  hash: tx.hash,
+  blockNumber: block.number,
+  blockHash: block.hash,
+  timestamp: block.timestamp,
+  transactionIndex: receipt.transactionIndex,
+  nonce: tx.nonce,
+  from: tx.from.toLowerCase(),
+  to: tx.to ? tx.to.toLowerCase() : null,
+  value: tx.value.toString(),
+  gas: tx.gasLimit.toString(),
+  gasPrice: (receipt.effectiveGasPrice || tx.gasPrice).toString(),
+  gasUsed: receipt.gasUsed.toString(),
+  cumulativeGasUsed: receipt.cumulativeGasUsed.toString(),
+  input: tx.data,
+  contractAddress: receipt.contractAddress ? receipt.contractAddress.toLowerCase() : null,
+  status: receipt.status === 0 ? 0 : 1
+});
+
+// Walk back through the stored blocks to the newest one still canonical and index again after it
+const rollbackReorg = async (chain, provider) => {
+  const stored = listIndexedBlocks(chain);
+  for (const block of stored) {
+    const canonical = await provider.getBlock(block.number);
+    if (canonical && canonical.hash === block.hash) {
+      console.log(`⚠️  Reorg on ${chain}: rolling back to block ${block.number}`);
+      rollbackFrom(chain, block.number + 1);
+      return;
+    }
+  }
+  const oldest = stored[stored.length - 1];
+  console.error(`⚠️  Reorg on ${chain} deeper than ${INDEXER_REORG_DEPTH} blocks, re-indexing from block ${oldest.number}`);
+  rollbackFrom(chain, oldest.number);
+};
+
+// Index from the cursor up to the head, one batch of blocks at a time
+const indexChain = async (chain) => {
+  const provider = getProvider(chain);
+  const head = await provider.getBlockNumber();
+  updateStatus(chain, { head });
+
+  let next = getCursor(chain);
+  if (next === null) {
+    next = INDEXER_START_BLOCK !== null ? INDEXER_START_BLOCK : head;
+    setCursor(chain, next);
+    console.log(`ℹ️  Indexing ${chain} from block ${next}`);
+  }
+
+  while (timer && next <= head) {
+    const last = Math.min(head, next + INDEXER_BATCH_BLOCKS - 1);
+    const watched = getWatchedAddresses();
+    const transfers = watched.size > 0 ? await fetchTransfers(provider, watched, next, last) : [];
+
+    for (let number = next; number <= last; number++) {
+      const block = await provider.getBlockWithTransactions(number);
+      if (!block) {
+        return;
+      }
+      const parent = getIndexedBlock(chain, number - 1);
+      if (parent && parent.hash !== block.parentHash) {
+        await rollbackReorg(chain, provider);
+        return;
+      }
+      const blockTransfers = transfers.filter((transfer) => transfer.blockNumber === number);
+      // The logs were read from a different fork than this block; try again on the next poll
+      if (blockTransfers.some((transfer) => transfer.blockHash !== block.hash)) {
+        return;
+      }
+
+      const transactions = [];
+      for (const tx of block.transactions) {
+        if (watched.has(tx.from.toLowerCase()) || (tx.to && watched.has(tx.to.toLowerCase()))) {
+          transactions.push(toTransactionRow(block, tx, await provider.getTransactionReceipt(tx.hash)));
+        }
+      }
+      for (const token of new Set(blockTransfers.map((transfer) => transfer.token))) {
+        await rememberToken(chain, provider, token);
+      }
+
+      saveBlock(chain, {
+        block: { number: block.number, hash: block.hash, parentHash: block.parentHash, timestamp: block.timestamp },
+        transactions,
+        tokenTransfers: blockTransfers.map((transfer) => ({ ...transfer, timestamp: block.timestamp }))
+      }, INDEXER_REORG_DEPTH);
+    }
+    next = last + 1;
+  }
+};
+
+const tick = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    for (const chain of getIndexedChains()) {
+      try {
+        await indexChain(chain);
+        updateStatus(chain, { lastError: null, indexedAt: new Date().toISOString() });
+      } catch (error) {
+        updateStatus(chain, { lastError: error.message });
+        console.error(`Indexer error on ${chain}:`, error.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+export const startIndexer = () => {
+  if (timer) {
+    return;
+  }
+  console.log(`ℹ️  Indexer following ${getIndexedChains().join(', ')} for ${getWatchedAddresses().size} address(es)`);
+  timer = setInterval(tick, INDEXER_POLL_INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+export const stopIndexer = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,83 @@
+import { listTokenTransfers, listTransactions } from './db.js';
+import { INDEXER_ENABLED, getIndexedChains, getIndexerStatus, getWatchedAddresses } from './indexer.js';
+
+// Indexed rows in the explorer's response format, so clients can switch between the two
+export const toExplorerTransaction = (row, head) => ({
+  blockNumber: String(row.block_number),
+  timeStamp: String(row.timestamp),
+  hash: row.hash,
+  nonce: String(row.nonce),
+  blockHash: row.block_hash,
+  transactionIndex: String(row.transaction_index),
+  from: row.from_address,
+  to: row.to_address || '',
+  value: row.value,
+  gas: row.gas,
+  gasPrice: row.gas_price,
+  isError: row.status === 1 ? '0' : '1',
+  txreceipt_status: String(row.status),
+  input: row.input,
+  contractAddress: row.contract_address || '',
+  cumulativeGasUsed: row.cumulative_gas_used,
+  gasUsed: row.gas_used,
+  confirmations: String(head - row.block_number + 1),
+  methodId: row.input.length >= 10 ? row.input.slice(0, 10) : '0x'
+});
+
+export const toExplorerTransfer = (row, head) => ({
+  blockNumber: String(row.block_number),
+  timeStamp: String(row.timestamp),
+  hash: row.transaction_hash,
+  blockHash: row.block_hash,
+  from: row.from_address,
+  contractAddress: row.token,
+  to: row.to_address,
+  ...(row.standard === 'erc721' ? { tokenID: row.token_id } : { value: row.value }),
+  tokenName: row.token_name || '',
+  tokenSymbol: row.token_symbol || '',
+  tokenDecimal: row.standard === 'erc721' || row.token_decimals === null ? '0' : String(row.token_decimals),
+  transactionIndex: String(row.transaction_index),
+  logIndex: String(row.log_index),
+  confirmations: String(head - row.block_number + 1)
+});
+
+// Explorer paging params; null when one isn't a non-negative integer (endblock may be `latest`)
+export const pageQuery = (query) => {
+  const badParam = ['startblock', 'endblock', 'page', 'offset'].find((name) =>
+    query[name] !== undefined && !/^\d+$/.test(query[name]) && !(name === 'endblock' && query[name] === 'latest'));
+  if (badParam) {
+    return null;
+  }
+  return {
+    startBlock: Number(query.startblock || 0),
+    endBlock: !query.endblock || query.endblock === 'latest' ? Number.MAX_SAFE_INTEGER : Number(query.endblock),
+    page: Math.max(1, Number(query.page || 1)),
+    offset: Math.min(1000, Math.max(1, Number(query.offset || 10))),
+    sort: query.sort === 'asc' ? 'asc' : 'desc',
+    token: query.contractaddress ? query.contractaddress.toLowerCase() : null
+  };
+};
+
+// Explorer list actions the index can answer
+const LISTS = {
+  txlist: { list: listTransactions, format: toExplorerTransaction },
+  tokentx: { list: (chain, address, query) => listTokenTransfers(chain, address, 'erc20', query), format: toExplorerTransfer },
+  tokennfttx: { list: (chain, address, query) => listTokenTransfers(chain, address, 'erc721', query), format: toExplorerTransfer }
+};
+
+// Whether the index holds what an explorer request asks for: a list action on an indexed
+// chain for a watched address, with valid paging params
+export const canQueryIndex = (chain, params) =>
+  INDEXER_ENABLED &&
+  Boolean(LISTS[params.action]) &&
+  getIndexedChains().includes(chain) &&
+  getWatchedAddresses().has(String(params.address).toLowerCase()) &&
+  pageQuery(params) !== null;
+
+// Rows come from the store, which only sees what the indexer has caught up with
+export const queryIndex = (chain, params) => {
+  const { list, format } = LISTS[params.action];
+  const { nextBlock } = getIndexerStatus(chain);
+  const rows = list(chain, String(params.address).toLowerCase(), pageQuery(params));
+  return rows.map((row) => format(row, (nextBlock || 1) - 1));
+};
@@ -0,0 +1,47 @@
+import express from 'express';
+import { getJob, registerJobHandler } from './queue.js';
+import { signAndExecuteContractTx } from '../lit/index.js';
+import { findApiClient, requireApiClient, spendGuard } from '../auth/index.js';
+import { ApiError } from '../errors.js';
+
+const router = express.Router();
+
+// Background version of /execute-contract; the queue watches for the receipt
+registerJobHandler('execute-contract', (input, { onStage }) => {
+  const client = findApiClient(input.clientId);
+  if (!client) {
+    throw new ApiError(`API client ${input.clientId} no longer exists`, 403, 'CLIENT_REMOVED');
+  }
+  return signAndExecuteContractTx(
+    input.contractAddress,
+    input.contractABI,
+    input.functionName,
+    input.functionParams,
+    input.value,
+    {
+      chain: input.chain,
+      fees: input.fees,
+      pkp: input.pkp,
+      clientId: client.id,
+      beforeSign: spendGuard(client, input.chain),
+      onStage
+    }
+  );
+});
+
+router.use(requireApiClient);
+
+router.get('/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  // Clients only see their own jobs
+  if (!job || job.input.clientId !== req.apiClient.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      timestamp: new Date().toISOString()
+    });
+  }
+  res.json({ success: true, data: job, timestamp: new Date().toISOString() });
+});
+
+export default router;
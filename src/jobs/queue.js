@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import { DATA_RETENTION_MS, createStore } from '../store/index.js';
+import { getProvider } from '../lit/utils.js';
+
+// Durable job queue: jobs are persisted to the local store, run by an in-process
+// worker with retries, and picked back up after a restart.
+//
+// Stages: queued -> built -> signed -> broadcast -> confirmed, or failed.
+
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 3);
+const JOB_RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS || 5000);
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 1000);
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 1);
+const JOB_CONFIRMATIONS = Number(process.env.JOB_CONFIRMATIONS || 1);
+const JOB_RECEIPT_TIMEOUT_MS = Number(process.env.JOB_RECEIPT_TIMEOUT_MS || 1000 * 60 * 10);
+
+const TERMINAL_STATUSES = ['confirmed', 'failed'];
+// Once a transaction may have left the server, a job is never re-run, only watched
+const SENT_STATUSES = ['signed', 'broadcast'];
+
+// Finished jobs are pruned after DATA_RETENTION_DAYS
+const jobs = createStore('jobs', {
+  retention: { maxAgeMs: DATA_RETENTION_MS, canPrune: (job) => TERMINAL_STATUSES.includes(job.status) }
+});
+const handlers = new Map();
+const running = new Set();
+let timer = null;
+
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+export const getJob = (id) => jobs.get(id);
+
+const addStage = (job, stage, info = {}) => {
+  const updated = jobs.update(job.id, {
+    status: stage,
+    stages: [...job.stages, { stage, at: new Date().toISOString(), ...info }]
+  });
+  Object.assign(job, updated);
+  return job;
+};
+
+export const enqueueJob = (type, input, { maxAttempts = JOB_MAX_ATTEMPTS } = {}) => {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type ${type}`);
+  }
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  jobs.set(id, {
+    id,
+    type,
+    input,
+    status: 'queued',
+    stages: [{ stage: 'queued', at: now }],
+    attempts: 0,
+    maxAttempts,
+    nextAttemptAt: Date.now(),
+    chain: input.chain,
+    txHash: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  });
+  setImmediate(tick);
+  return getJob(id);
+};
+
+const failJob = (job, error) => {
+  addStage(job, 'failed', { error: error.message });
+  jobs.update(job.id, {
+    error: { message: error.message, code: error.code, details: error.details }
+  });
+};
+
+// Client errors (bad input, policy, auth) won't get better on retry; nonce conflicts might
+const isRetryable = (error) =>
+  !error.statusCode || error.statusCode >= 500 || error.statusCode === 409;
+
+const lastBuiltStage = (job) => [...job.stages].reverse().find((stage) => stage.stage === 'built');
+
+// Whether the nonce the job's transaction was built with has been used on chain since;
+// false for jobs that never got that far
+const isBuiltNonceUsed = async (job) => {
+  const built = lastBuiltStage(job);
+  if (!built || !built.from) {
+    return false;
+  }
+  const pendingCount = await getProvider(job.chain).getTransactionCount(built.from, 'pending');
+  return pendingCount > built.nonce;
+};
+
+const interruptedError = (job, message) => {
+  const { nonce, from } = lastBuiltStage(job);
+  return Object.assign(new Error(message), { code: 'INTERRUPTED', details: { nonce, from } });
+};
+
+// Wait for the receipt of a job that already broadcast its transaction
+const watchReceipt = async (job) => {
+  const receipt = await getProvider(job.chain).waitForTransaction(job.txHash, JOB_CONFIRMATIONS, JOB_RECEIPT_TIMEOUT_MS);
+  if (receipt.status === 1) {
+    addStage(job, 'confirmed', { blockNumber: receipt.blockNumber });
+  } else {
+    failJob(job, new Error(`Transaction reverted in block ${receipt.blockNumber}`));
+  }
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  jobs.update(job.id, { attempts: job.attempts + 1 });
+  job.attempts += 1;
+
+  try {
+    const result = await handler(job.input, {
+      job,
+      onStage: (stage, info = {}) => {
+        if (info.txHash) {
+          jobs.update(job.id, { txHash: info.txHash });
+          job.txHash = info.txHash;
+        }
+        addStage(job, stage, info);
+        if (stage === 'built') {
+          // Recovery after a crash goes by this stage, so it has to be on disk before the broadcast
+          jobs.flush();
+        }
+      }
+    });
+    jobs.update(job.id, { result });
+    if (job.status !== 'confirmed' && job.txHash) {
+      await watchReceipt(job);
+    } else if (job.status !== 'confirmed') {
+      addStage(job, 'confirmed');
+    }
+  } catch (error) {
+    console.error(`Job ${job.id} attempt ${job.attempts} failed:`, error.message);
+
+    if (SENT_STATUSES.includes(job.status) && job.txHash) {
+      // Sent already: retrying would double-send, so only keep watching the receipt
+      jobs.update(job.id, { nextAttemptAt: Date.now() + JOB_RETRY_BASE_MS });
+      return;
+    }
+    if (job.status === 'built' && isRetryable(error)) {
+      // The Lit Action may have broadcast it before failing, so rebuilding could send it twice;
+      // it stays built until retryBuiltJob has checked its nonce
+      jobs.update(job.id, {
+        nextAttemptAt: Date.now() + JOB_RETRY_BASE_MS * 2 ** (job.attempts - 1),
+        error: { message: error.message, code: error.code, details: error.details }
+      });
+      return;
+    }
+    if (job.attempts >= job.maxAttempts || !isRetryable(error)) {
+      failJob(job, error);
+      return;
+    }
+    // Exponential backoff back to the queue
+    const delay = JOB_RETRY_BASE_MS * 2 ** (job.attempts - 1);
+    addStage(job, 'queued', { retryOf: job.attempts, error: error.message });
+    jobs.update(job.id, { nextAttemptAt: Date.now() + delay });
+  }
+};
+
+// Retry a job whose last attempt failed after building: only if its nonce is still unused
+const retryBuiltJob = async (job) => {
+  if (await isBuiltNonceUsed(job)) {
+    failJob(job, interruptedError(job, 'The last attempt may have sent the transaction before it failed, and its nonce has since been used; check the PKP history'));
+    return;
+  }
+  // Jobs left built by a restart have no error of their own
+  const lastError = job.error || { message: 'Interrupted after the transaction was built' };
+  if (job.attempts >= job.maxAttempts) {
+    failJob(job, Object.assign(new Error(lastError.message), lastError));
+    return;
+  }
+  addStage(job, 'queued', { retryOf: job.attempts, error: lastError.message });
+  await runJob(job);
+};
+
+const processJob = async (job) => {
+  running.add(job.id);
+  try {
+    if (SENT_STATUSES.includes(job.status) && job.txHash) {
+      await watchReceipt(job);
+    } else if (job.status === 'built') {
+      await retryBuiltJob(job);
+    } else {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error(`Job ${job.id} receipt or nonce check failed:`, error.message);
+    jobs.update(job.id, { nextAttemptAt: Date.now() + JOB_RETRY_BASE_MS });
+  } finally {
+    running.delete(job.id);
+  }
+};
+
+const tick = () => {
+  const due = jobs
+    .list((job) =>
+      !TERMINAL_STATUSES.includes(job.status) &&
+      !running.has(job.id) &&
+      job.nextAttemptAt <= Date.now()
+    )
+    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+  due.slice(0, Math.max(0, JOB_CONCURRENCY - running.size)).forEach((job) => {
+    processJob(job);
+  });
+};
+
+// Jobs interrupted between building and sending may or may not have been
+// broadcast; only re-run them if their nonce is still unused on chain
+const recoverInterruptedJobs = async () => {
+  const interrupted = jobs.list((job) => job.status === 'built' || (SENT_STATUSES.includes(job.status) && !job.txHash));
+  for (const job of interrupted) {
+    try {
+      if (await isBuiltNonceUsed(job)) {
+        failJob(job, interruptedError(job, 'Server restarted after the transaction was built and its nonce has since been used; check the PKP history'));
+      } else {
+        addStage(job, 'queued', { recovered: true });
+      }
+    } catch (error) {
+      console.error(`Could not recover job ${job.id}:`, error.message);
+    }
+  }
+};
+
+export const startJobWorker = async () => {
+  if (timer) {
+    return;
+  }
+  await recoverInterruptedJobs();
+  const pending = jobs.list((job) => !TERMINAL_STATUSES.includes(job.status)).length;
+  if (pending > 0) {
+    console.log(`ℹ️  Resuming ${pending} unfinished job(s)`);
+  }
+  timer = setInterval(tick, JOB_POLL_INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+export const stopJobWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,179 @@
+import { getEnv } from "./utils.js";
+import { getLitContracts } from "./session.js";
+import { DATA_RETENTION_MS, createStore } from "../store/index.js";
+
+// Capacity credit manager: minted credits are saved with their expiry and usage,
+// the newest valid one is reused, and a replacement is minted in the background
+// once the active credit gets close to expiring.
+
+const LIT_CAPACITY_CREDIT_TOKEN_ID = getEnv("LIT_CAPACITY_CREDIT_TOKEN_ID");
+const REQUESTS_PER_KILOSECOND = Number(getEnv("LIT_CAPACITY_REQUESTS_PER_KILOSECOND") || 10);
+const CAPACITY_DAYS = Number(getEnv("LIT_CAPACITY_DAYS") || 1);
+const RENEW_MARGIN_MS = Number(getEnv("LIT_CAPACITY_RENEW_MARGIN_MS") || 1000 * 60 * 60);
+
+const KILOSECOND_MS = 1000 * 1000;
+
+// Minted credits are dropped DATA_RETENTION_DAYS after they expire
+const credits = createStore("capacityCredits", {
+    retention: {
+        maxAgeMs: DATA_RETENTION_MS,
+        timestamp: (credit) => credit.expiresAt,
+        canPrune: (credit) => credit.source === "minted",
+    },
+});
+// Request timestamps per token over the last kilosecond, for the remaining rate
+const recentRequests = new Map();
+let minting = null;
+let envCreditChecked = false;
+
+const isUsable = (credit) => credit.expiresAt === null || credit.expiresAt > Date.now();
+const needsRenewal = (credit) => credit.expiresAt !== null && credit.expiresAt - RENEW_MARGIN_MS <= Date.now();
+
+// Credits expire at UTC midnight, `days` from now
+const getExpectedExpiry = (days) => {
+    const expiry = new Date();
+    expiry.setUTCHours(0, 0, 0, 0);
+    expiry.setUTCDate(expiry.getUTCDate() + days);
+    return expiry.getTime();
+};
+
+// Late in the UTC day a one day credit would already be due for renewal, so add days until it isn't
+const getCreditDays = () => {
+    let days = CAPACITY_DAYS;
+    while (getExpectedExpiry(days) - RENEW_MARGIN_MS <= Date.now()) {
+        days += 1;
+    }
+    return days;
+};
+
+// Rate and expiry as recorded on chain, or null if they can't be read
+const readOnChainCapacity = async (tokenId) => {
+    try {
+        const litContracts = await getLitContracts();
+        const capacity = await litContracts.rateLimitNftContractUtils.read.getCapacityByIndex(tokenId);
+        // The SDK labels the rate per millisecond; the contract stores it per kilosecond
+        return {
+            requestsPerKilosecond: capacity.requestsPerMillisecond,
+            expiresAt: capacity.expiresAt.timestamp * 1000,
+        };
+    } catch (error) {
+        console.error(`Could not read capacity credit ${tokenId}:`, error.message);
+        return null;
+    }
+};
+
+const mintCapacityCredit = () => {
+    if (!minting) {
+        minting = (async () => {
+            console.log("🔄 Minting new Capacity Credit...");
+            const days = getCreditDays();
+            const litContracts = await getLitContracts();
+            const { capacityTokenIdStr } = await litContracts.mintCapacityCreditsNFT({
+                requestsPerKilosecond: REQUESTS_PER_KILOSECOND,
+                daysUntilUTCMidnightExpiration: days,
+            });
+            const onChain = await readOnChainCapacity(capacityTokenIdStr);
+            console.log(`✅ Capacity Credit ${capacityTokenIdStr} minted`);
+
+            // Saved straight away so the credit is reused after a restart
+            return credits.set(capacityTokenIdStr, {
+                tokenId: capacityTokenIdStr,
+                source: "minted",
+                requestsPerKilosecond: onChain ? onChain.requestsPerKilosecond : REQUESTS_PER_KILOSECOND,
+                expiresAt: onChain ? onChain.expiresAt : getExpectedExpiry(days),
+                requests: 0,
+                lastUsedAt: null,
+                createdAt: new Date().toISOString(),
+            });
+        })().finally(() => {
+            minting = null;
+        });
+    }
+    return minting;
+};
+
+// The operator's credit from LIT_CAPACITY_CREDIT_TOKEN_ID, with its expiry looked up once per start
+const getEnvCredit = async () => {
+    const existing = credits.get(LIT_CAPACITY_CREDIT_TOKEN_ID);
+    if (existing && (existing.expiresAt !== null || envCreditChecked)) {
+        return existing;
+    }
+    envCreditChecked = true;
+    const onChain = await readOnChainCapacity(LIT_CAPACITY_CREDIT_TOKEN_ID);
+    if (existing) {
+        return onChain ? credits.update(LIT_CAPACITY_CREDIT_TOKEN_ID, onChain) : existing;
+    }
+    return credits.set(LIT_CAPACITY_CREDIT_TOKEN_ID, {
+        tokenId: LIT_CAPACITY_CREDIT_TOKEN_ID,
+        source: "env",
+        requestsPerKilosecond: onChain ? onChain.requestsPerKilosecond : null,
+        expiresAt: onChain ? onChain.expiresAt : null,
+        requests: 0,
+        lastUsedAt: null,
+        createdAt: new Date().toISOString(),
+    });
+};
+
+// Credit to delegate from: the env credit while it's valid, else the saved credit
+// that lasts longest, else a freshly minted one
+export const getCapacityCredit = async () => {
+    if (LIT_CAPACITY_CREDIT_TOKEN_ID) {
+        const envCredit = await getEnvCredit();
+        if (isUsable(envCredit)) {
+            return envCredit;
+        }
+        console.log(`⚠️  Capacity Credit ${envCredit.tokenId} from LIT_CAPACITY_CREDIT_TOKEN_ID has expired`);
+    }
+
+    const [active] = credits
+        .list((credit) => credit.source === "minted" && isUsable(credit))
+        .sort((a, b) => b.expiresAt - a.expiresAt);
+    if (!active) {
+        return mintCapacityCredit();
+    }
+
+    if (needsRenewal(active)) {
+        console.log(`ℹ️  Capacity Credit ${active.tokenId} expires soon, minting a replacement`);
+        mintCapacityCredit().catch((error) => {
+            console.error('Capacity Credit renewal failed:', error);
+        });
+    }
+    return active;
+};
+
+export const recordCapacityUse = (tokenId) => {
+    const now = Date.now();
+    const recent = (recentRequests.get(tokenId) || []).filter((at) => now - at < KILOSECOND_MS);
+    recent.push(now);
+    recentRequests.set(tokenId, recent);
+
+    const credit = credits.get(tokenId);
+    if (credit) {
+        credits.update(tokenId, { requests: credit.requests + 1, lastUsedAt: new Date(now).toISOString() });
+    }
+};
+
+export const getCapacityStatus = () => {
+    const now = Date.now();
+    return credits
+        .list()
+        .sort((a, b) => (b.expiresAt || Infinity) - (a.expiresAt || Infinity))
+        .map((credit) => {
+            const usedInWindow = (recentRequests.get(credit.tokenId) || []).filter((at) => now - at < KILOSECOND_MS).length;
+            return {
+                tokenId: credit.tokenId,
+                source: credit.source,
+                requestsPerKilosecond: credit.requestsPerKilosecond,
+                // Requests this server made in the last kilosecond and what's left of the rate
+                usedInLastKilosecond: usedInWindow,
+                remainingInLastKilosecond: credit.requestsPerKilosecond === null
+                    ? null
+                    : Math.max(0, credit.requestsPerKilosecond - usedInWindow),
+                totalRequests: credit.requests,
+                lastUsedAt: credit.lastUsedAt,
+                expiresAt: credit.expiresAt === null ? null : new Date(credit.expiresAt).toISOString(),
+                expired: !isUsable(credit),
+                renewalDue: isUsable(credit) && needsRenewal(credit),
+            };
+        });
+};
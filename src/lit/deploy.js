@@ -0,0 +1,90 @@
+import * as ethers from "ethers";
+import { getEnv, getProvider } from "./utils.js";
+import { signAndExecuteTransaction } from "./index.js";
+import { updateTransactionRecord } from "./transactions.js";
+import { ApiError } from "../errors.js";
+
+// Contract deployment from a PKP. A plain deployment is a transaction without a `to`,
+// so its address follows from the PKP address and nonce. With a salt the init code
+// goes through a CREATE2 factory instead, which gives the same address on every chain.
+
+// Deterministic deployment proxy, deployed at the same address on most EVM chains
+export const DEFAULT_CREATE2_FACTORY = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+const CREATE2_FACTORY = getEnv("CREATE2_FACTORY_ADDRESS") || DEFAULT_CREATE2_FACTORY;
+
+// Bytecode followed by the ABI-encoded constructor arguments
+const getInitCode = (abi, bytecode, constructorArgs) => {
+    try {
+        return new ethers.ContractFactory(abi, bytecode).getDeployTransaction(...constructorArgs).data;
+    } catch (error) {
+        throw new ApiError(`Invalid bytecode or constructor arguments: ${error.reason || error.message}`, 400, "INVALID_DEPLOYMENT");
+    }
+};
+
+// A bytes32 salt is used as is, anything else is hashed
+const toSalt = (salt) =>
+    ethers.utils.isHexString(salt, 32) ? salt : ethers.utils.id(String(salt));
+
+export const getCreate2Address = (initCode, salt, factory = CREATE2_FACTORY) =>
+    ethers.utils.getCreate2Address(factory, toSalt(salt), ethers.utils.keccak256(initCode));
+
+// options: { chain, pkp, clientId, waitForConfirmations, fees, beforeSign }
+export const deployContract = async (
+    { abi, bytecode, constructorArgs = [], value = "0", salt },
+    options
+) => {
+    const initCode = getInitCode(abi, bytecode, constructorArgs);
+    const contractInterface = new ethers.utils.Interface(abi);
+    const valueWei = ethers.utils.parseEther(value);
+
+    if (salt === undefined) {
+        console.log(`🔄 Deploying contract on ${options.chain}...`);
+        const result = await signAndExecuteTransaction(
+            { to: undefined, data: initCode, value: valueWei, contractInterface, kind: "deploy", metadata: { mode: "create" } },
+            options
+        );
+        const contractAddress = ethers.utils.getContractAddress({ from: result.from, nonce: result.nonce });
+        updateTransactionRecord(result.txHash, { metadata: { mode: "create", contractAddress } });
+        console.log(`✅ Contract will be deployed at ${contractAddress}`);
+        return { ...result, contractAddress, deployment: { mode: "create" } };
+    }
+
+    const provider = getProvider(options.chain);
+    const saltHex = toSalt(salt);
+    const contractAddress = getCreate2Address(initCode, saltHex);
+
+    if ((await provider.getCode(CREATE2_FACTORY)) === "0x") {
+        throw new ApiError(`No CREATE2 factory at ${CREATE2_FACTORY} on ${options.chain}`, 422, "CREATE2_FACTORY_MISSING", {
+            chain: options.chain,
+            factory: CREATE2_FACTORY,
+        });
+    }
+    // The factory reverts when the address is taken, so say so before spending gas
+    if ((await provider.getCode(contractAddress)) !== "0x") {
+        throw new ApiError(`A contract is already deployed at ${contractAddress}`, 409, "ALREADY_DEPLOYED", {
+            chain: options.chain,
+            contractAddress,
+            salt: saltHex,
+        });
+    }
+
+    console.log(`🔄 Deploying contract to ${contractAddress} through CREATE2 factory on ${options.chain}...`);
+    const result = await signAndExecuteTransaction(
+        {
+            to: CREATE2_FACTORY,
+            // The factory takes the salt followed by the init code, no selector
+            data: ethers.utils.hexConcat([saltHex, initCode]),
+            value: valueWei,
+            contractInterface,
+            kind: "deploy",
+            metadata: { mode: "create2", factory: CREATE2_FACTORY, salt: saltHex, contractAddress },
+        },
+        options
+    );
+    console.log(`✅ Contract will be deployed at ${contractAddress}`);
+    return {
+        ...result,
+        contractAddress,
+        deployment: { mode: "create2", factory: CREATE2_FACTORY, salt: saltHex },
+    };
+};
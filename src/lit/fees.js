@@ -0,0 +1,171 @@
+import * as ethers from "ethers";
+import { getEnv } from "./utils.js";
+import { ApiError } from "../errors.js";
+
+// Fee strategy: EIP-1559 fees from eth_feeHistory where the chain supports
+// them, legacy gasPrice otherwise. Callers pick a speed tier or explicit caps.
+
+const FEE_HISTORY_BLOCKS = Number(getEnv("FEE_HISTORY_BLOCKS") || 10);
+export const GAS_LIMIT_MULTIPLIER = Number(getEnv("GAS_LIMIT_MULTIPLIER") || 1.2);
+// Chains that must always get legacy transactions, comma separated
+const LEGACY_FEE_CHAINS = getEnv("LEGACY_FEE_CHAINS").split(",").map((chain) => chain.trim()).filter(Boolean);
+
+export const FEE_SPEEDS = {
+    slow: { rewardPercentile: 10, baseFeeMultiplier: 1.25, gasPriceMultiplier: 1 },
+    normal: { rewardPercentile: 50, baseFeeMultiplier: 2, gasPriceMultiplier: 1.1 },
+    fast: { rewardPercentile: 90, baseFeeMultiplier: 3, gasPriceMultiplier: 1.3 },
+};
+
+const PERCENTILES = Object.values(FEE_SPEEDS).map((speed) => speed.rewardPercentile);
+const FEE_FIELDS = ["maxFeePerGas", "maxPriorityFeePerGas", "gasPrice"];
+
+// Multiply a BigNumber by a decimal factor without floating point wei
+const scale = (value, multiplier) =>
+    value.mul(Math.round(multiplier * 1000)).div(1000);
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+const parseGwei = (value) => ethers.utils.parseUnits(String(value), "gwei");
+
+// Returns an error message for invalid fee options, or null
+export const validateFeeOptions = (fees) => {
+    if (fees === undefined) {
+        return null;
+    }
+    if (typeof fees !== "object" || fees === null || Array.isArray(fees)) {
+        return "fees must be an object";
+    }
+    if (fees.speed !== undefined && !FEE_SPEEDS[fees.speed]) {
+        return `fees.speed must be one of ${Object.keys(FEE_SPEEDS).join(", ")}`;
+    }
+    for (const field of FEE_FIELDS) {
+        if (fees[field] === undefined) {
+            continue;
+        }
+        try {
+            if (parseGwei(fees[field]).lt(0)) {
+                return `fees.${field} must not be negative`;
+            }
+        } catch (error) {
+            return `fees.${field} must be a decimal amount in gwei`;
+        }
+    }
+    if (fees.gasPrice !== undefined && (fees.maxFeePerGas !== undefined || fees.maxPriorityFeePerGas !== undefined)) {
+        return "fees.gasPrice cannot be combined with EIP-1559 fee fields";
+    }
+    if (
+        fees.maxFeePerGas !== undefined &&
+        fees.maxPriorityFeePerGas !== undefined &&
+        parseGwei(fees.maxPriorityFeePerGas).gt(parseGwei(fees.maxFeePerGas))
+    ) {
+        return "fees.maxPriorityFeePerGas cannot exceed fees.maxFeePerGas";
+    }
+    return null;
+};
+
+const getFeeHistory = async (provider) => {
+    const history = await provider.send("eth_feeHistory", [
+        ethers.utils.hexValue(FEE_HISTORY_BLOCKS),
+        "latest",
+        PERCENTILES,
+    ]);
+    if (!history || !Array.isArray(history.baseFeePerGas) || history.baseFeePerGas.length === 0) {
+        return null;
+    }
+    return history;
+};
+
+// Legacy transactions have a single price per gas, so maxFeePerGas caps it. A priority fee on its
+// own has nothing to cap and is refused rather than silently dropped.
+const getLegacyFeeData = async (provider, speed, { gasPrice, maxFeePerGas, maxPriorityFeePerGas }) => {
+    if (maxPriorityFeePerGas !== undefined && maxFeePerGas === undefined) {
+        throw new ApiError(
+            "fees.maxPriorityFeePerGas needs fees.maxFeePerGas on a chain using legacy gas prices",
+            400,
+            "UNSUPPORTED_FEE_FIELDS"
+        );
+    }
+    const price = gasPrice !== undefined
+        ? parseGwei(gasPrice)
+        : scale(await provider.getGasPrice(), speed.gasPriceMultiplier);
+    if (maxFeePerGas !== undefined && price.gt(parseGwei(maxFeePerGas))) {
+        return { type: 0, gasPrice: parseGwei(maxFeePerGas) };
+    }
+    return { type: 0, gasPrice: price };
+};
+
+// Build fee fields for the next transaction on a chain
+export const getFeeData = async (provider, chain, fees = {}) => {
+    const speed = FEE_SPEEDS[fees.speed || "normal"];
+
+    if (fees.gasPrice !== undefined || LEGACY_FEE_CHAINS.includes(chain)) {
+        return getLegacyFeeData(provider, speed, fees);
+    }
+
+    let history;
+    try {
+        history = await getFeeHistory(provider);
+    } catch (error) {
+        history = null;
+    }
+    if (!history) {
+        return getLegacyFeeData(provider, speed, fees);
+    }
+
+    // The last entry is the base fee of the next block
+    const baseFeePerGas = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const rewardIndex = PERCENTILES.indexOf(speed.rewardPercentile);
+    const rewards = (history.reward || [])
+        .map((blockRewards) => blockRewards && blockRewards[rewardIndex])
+        .filter(Boolean)
+        .map((reward) => ethers.BigNumber.from(reward));
+
+    let maxPriorityFeePerGas = fees.maxPriorityFeePerGas !== undefined
+        ? parseGwei(fees.maxPriorityFeePerGas)
+        : (rewards.length > 0 ? median(rewards) : ethers.BigNumber.from(0));
+    const maxFeePerGas = fees.maxFeePerGas !== undefined
+        ? parseGwei(fees.maxFeePerGas)
+        : scale(baseFeePerGas, speed.baseFeeMultiplier).add(maxPriorityFeePerGas);
+
+    if (maxPriorityFeePerGas.gt(maxFeePerGas)) {
+        maxPriorityFeePerGas = maxFeePerGas;
+    }
+
+    return { type: 2, baseFeePerGas, maxFeePerGas, maxPriorityFeePerGas };
+};
+
+// Fee fields as they go into an unsigned transaction
+export const toTransactionFeeFields = (feeData) => {
+    if (feeData.type === 2) {
+        return {
+            type: 2,
+            maxFeePerGas: feeData.maxFeePerGas.toHexString(),
+            maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toHexString(),
+        };
+    }
+    return { type: 0, gasPrice: feeData.gasPrice.toHexString() };
+};
+
+// Highest price per gas a transaction may pay
+export const getMaxPricePerGas = (transaction) =>
+    ethers.BigNumber.from(transaction.type === 2 ? transaction.maxFeePerGas : transaction.gasPrice);
+
+// Price per gas expected at the current base fee
+export const getExpectedPricePerGas = (feeData) => {
+    if (feeData.type !== 2) {
+        return feeData.gasPrice;
+    }
+    const expected = feeData.baseFeePerGas.add(feeData.maxPriorityFeePerGas);
+    return expected.lt(feeData.maxFeePerGas) ? expected : feeData.maxFeePerGas;
+};
+
+export const formatFeeFields = (transaction) =>
+    transaction.type === 2
+        ? {
+            maxFeePerGas: ethers.utils.formatUnits(transaction.maxFeePerGas, "gwei"),
+            maxPriorityFeePerGas: ethers.utils.formatUnits(transaction.maxPriorityFeePerGas, "gwei"),
+        }
+        : { gasPrice: ethers.utils.formatUnits(transaction.gasPrice, "gwei") };
@@ -0,0 +1,231 @@
+import fs from "fs";
+import path from "path";
+import * as ethers from "ethers";
+import { getChainInfo, getEnv, getProvider } from "./utils.js";
+import { getFeeData, toTransactionFeeFields } from "./fees.js";
+import { reserveNonce, markNonceBroadcast, recoverNonce } from "./nonce.js";
+import { DATA_RETENTION_MS, createStore } from "../store/index.js";
+import { ApiError } from "../errors.js";
+
+// Tops up a PKP from the owner wallet before it sends a transaction it can't
+// afford. Rules per chain come from FUNDING_CONFIG_FILE (default config/funding.json),
+// re-read on every check so edits and the kill switch apply right away:
+//
+//   minBalance      never let the PKP go below this
+//   costMultiplier  keep at least this many times the pending transaction's max gas cost
+//   topUpAmount     amount sent per top-up (more if the shortfall is bigger)
+//   dailyCap        total funding per chain per UTC day
+//   coverValue      also fund the value the transaction sends (off by default: only gas is funded)
+//
+// Every funding transaction is written to the "funding" store.
+
+const ETHEREUM_PRIVATE_KEY = getEnv("ETHEREUM_PRIVATE_KEY");
+const FUNDING_CONFIG_FILE = path.resolve(getEnv("FUNDING_CONFIG_FILE") || "config/funding.json");
+const FUNDING_ENABLED = getEnv("FUNDING_ENABLED") !== "false";
+// How long a top-up may take to be mined before the request waiting on it gives up
+const FUNDING_CONFIRMATION_TIMEOUT_MS = Number(getEnv("FUNDING_CONFIRMATION_TIMEOUT_MS") || 1000 * 60 * 2);
+
+const DEFAULT_RULES = {
+    minBalance: "0",
+    costMultiplier: 1.5,
+    topUpAmount: "0.001",
+    dailyCap: "0.01",
+    coverValue: false,
+};
+
+// Entries still waiting on their transaction are kept past DATA_RETENTION_DAYS
+const fundingLog = createStore("funding", {
+    retention: { maxAgeMs: DATA_RETENTION_MS, canPrune: (entry) => !["pending", "sent"].includes(entry.status) },
+});
+// One top-up at a time per PKP and chain
+const inFlight = new Map();
+
+const loadConfig = () => {
+    if (!fs.existsSync(FUNDING_CONFIG_FILE)) {
+        return { enabled: true, chains: {} };
+    }
+    return JSON.parse(fs.readFileSync(FUNDING_CONFIG_FILE, "utf8"));
+};
+
+const getFundingRules = (chain) => {
+    const config = loadConfig();
+    const chains = config.chains || {};
+    const rules = { ...DEFAULT_RULES, ...chains["*"], ...chains[chain] };
+    // Kill switch: env, whole file or per chain
+    return { ...rules, enabled: FUNDING_ENABLED && config.enabled !== false && rules.enabled !== false };
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const getFundedToday = (chain) =>
+    fundingLog
+        .list((entry) => entry.chain === chain && entry.status !== "failed" && entry.createdAt.startsWith(today()))
+        .reduce((total, entry) => total.add(entry.amount), ethers.BigNumber.from(0));
+
+// Worst case cost of an unsigned transaction: full gas limit at the max price, and its value
+export const getTransactionCost = (unsignedTransaction) => ({
+    gas: ethers.BigNumber.from(unsignedTransaction.gasLimit)
+        .mul(unsignedTransaction.type === 2 ? unsignedTransaction.maxFeePerGas : unsignedTransaction.gasPrice),
+    value: ethers.BigNumber.from(unsignedTransaction.value || 0),
+});
+
+export const addTransactionCosts = (a, b) => ({
+    gas: ethers.BigNumber.from(a.gas || 0).add(b.gas || 0),
+    value: ethers.BigNumber.from(a.value || 0).add(b.value || 0),
+});
+
+const sendFunding = async (chain, pkpAddress, amount, { balance, required }) => {
+    const provider = getProvider(chain);
+    const wallet = new ethers.Wallet(ETHEREUM_PRIVATE_KEY, provider);
+    const entry = {
+        chain,
+        pkpAddress,
+        from: wallet.address,
+        amount: amount.toString(),
+        balanceBefore: balance.toString(),
+        required: required.toString(),
+        txHash: null,
+        status: "pending",
+        error: null,
+        createdAt: new Date().toISOString(),
+    };
+    const id = `${chain}:${pkpAddress.toLowerCase()}:${Date.now()}`;
+    fundingLog.set(id, entry);
+    // Counts towards the daily cap even if the process dies mid-send
+    fundingLog.flush();
+
+    console.log(`🔄 Funding PKP ${pkpAddress} with ${ethers.utils.formatEther(amount)} on ${chain}...`);
+    let fundingNonce;
+    let fundingTx;
+    try {
+        fundingNonce = await reserveNonce(provider, chain, wallet.address);
+        fundingTx = await wallet.sendTransaction({
+            to: pkpAddress,
+            value: amount,
+            gasLimit: ethers.BigNumber.from(21000).toHexString(),
+            ...toTransactionFeeFields(await getFeeData(provider, chain)),
+            nonce: fundingNonce,
+            chainId: getChainInfo(chain).chainId,
+        });
+    } catch (error) {
+        if (fundingNonce !== undefined) {
+            await recoverNonce(provider, chain, wallet.address, fundingNonce);
+        }
+        fundingLog.update(id, { status: "failed", error: error.reason || error.message });
+        throw error;
+    }
+    markNonceBroadcast(chain, wallet.address, fundingNonce, fundingTx.hash);
+    fundingLog.update(id, { txHash: fundingTx.hash, status: "sent" });
+
+    let receipt;
+    try {
+        receipt = await provider.waitForTransaction(fundingTx.hash, 1, FUNDING_CONFIRMATION_TIMEOUT_MS);
+    } catch (error) {
+        // It may still be mined, so it keeps counting towards the daily cap
+        fundingLog.update(id, { status: "unconfirmed", error: error.reason || error.message });
+        if (error.code === ethers.errors.TIMEOUT) {
+            throw new ApiError(
+                `Funding transaction was not mined within ${FUNDING_CONFIRMATION_TIMEOUT_MS}ms`,
+                504,
+                "FUNDING_TIMEOUT",
+                { chain, txHash: fundingTx.hash }
+            );
+        }
+        throw error;
+    }
+    fundingLog.update(id, { status: receipt.status === 1 ? "confirmed" : "failed", blockNumber: receipt.blockNumber });
+    console.log(`✅ PKP funded`);
+};
+
+const fundIfNeeded = async (chain, pkpAddress, { gas = 0, value = 0 }) => {
+    const rules = getFundingRules(chain);
+    const gasReserve = ethers.BigNumber.from(gas)
+        .mul(Math.round(Number(rules.costMultiplier) * 100))
+        .div(100);
+    const minBalance = ethers.utils.parseEther(String(rules.minBalance));
+    const target = (gasReserve.gt(minBalance) ? gasReserve : minBalance).add(value);
+
+    console.log(`🔄 Checking PKP balance...`);
+    const balance = await getProvider(chain).getBalance(pkpAddress);
+    if (balance.gte(target)) {
+        return;
+    }
+
+    const details = {
+        chain,
+        balance: ethers.utils.formatEther(balance),
+        required: ethers.utils.formatEther(target),
+    };
+    // The owner wallet pays for gas; the value has to be on the PKP already unless the chain opts in
+    if (rules.coverValue !== true && balance.lt(value)) {
+        throw new ApiError(
+            "PKP balance doesn't cover the value it sends, and funding only covers gas on this chain",
+            422,
+            "INSUFFICIENT_PKP_BALANCE",
+            { ...details, value: ethers.utils.formatEther(value) }
+        );
+    }
+    if (!rules.enabled) {
+        throw new ApiError('PKP balance is too low and auto-funding is disabled', 503, "FUNDING_DISABLED", details);
+    }
+
+    const shortfall = target.sub(balance);
+    const topUp = ethers.utils.parseEther(String(rules.topUpAmount));
+    const amount = topUp.gt(shortfall) ? topUp : shortfall;
+
+    const fundedToday = getFundedToday(chain);
+    const dailyCap = ethers.utils.parseEther(String(rules.dailyCap));
+    if (fundedToday.add(amount).gt(dailyCap)) {
+        throw new ApiError('Daily PKP funding cap reached', 503, "FUNDING_CAP_REACHED", {
+            ...details,
+            dailyCap: ethers.utils.formatEther(dailyCap),
+            fundedToday: ethers.utils.formatEther(fundedToday),
+            requested: ethers.utils.formatEther(amount),
+        });
+    }
+
+    await sendFunding(chain, pkpAddress, amount, { balance, required: target });
+};
+
+// Make sure the PKP can pay `cost` ({ gas, value } in wei) under the chain's rules
+export const ensurePkpFunded = async (chain, pkpAddress, cost = {}) => {
+    const key = `${chain}:${pkpAddress.toLowerCase()}`;
+    // Wait for a top-up that is already on its way, then check again
+    while (inFlight.has(key)) {
+        await inFlight.get(key).catch(() => {});
+    }
+    const run = fundIfNeeded(chain, pkpAddress, cost).finally(() => {
+        inFlight.delete(key);
+    });
+    inFlight.set(key, run);
+    return run;
+};
+
+export const listFundingLog = ({ chain, pkpAddress, limit = 100 } = {}) =>
+    fundingLog
+        .list((entry) =>
+            (!chain || entry.chain === chain) &&
+            (!pkpAddress || entry.pkpAddress.toLowerCase() === pkpAddress.toLowerCase())
+        )
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map((entry) => ({
+            ...entry,
+            amount: ethers.utils.formatEther(entry.amount),
+            balanceBefore: ethers.utils.formatEther(entry.balanceBefore),
+            required: ethers.utils.formatEther(entry.required),
+        }));
+
+export const getFundingStatus = (chain) => {
+    const rules = getFundingRules(chain);
+    return {
+        chain,
+        enabled: rules.enabled,
+        minBalance: String(rules.minBalance),
+        costMultiplier: Number(rules.costMultiplier),
+        topUpAmount: String(rules.topUpAmount),
+        dailyCap: String(rules.dailyCap),
+        coverValue: rules.coverValue === true,
+        fundedToday: ethers.utils.formatEther(getFundedToday(chain)),
+    };
+};
@@ -1,28 +1,30 @@
 import * as ethers from "ethers";
-import { LitContracts } from "@lit-protocol/contracts-sdk";
-import { LIT_NETWORK, LIT_RPC, LIT_ABILITY } from "@lit-protocol/constants";
-import { LitNodeClient } from "@lit-protocol/lit-node-client";
+import { getChainInfo, getEnv, getProvider, isAllowedChain, getAllowedChains } from "./utils.js";
+import { signAndSendTransaction, signTransactions } from "./signer.js";
+import { recordTransaction, updateTransactionRecord } from "./transactions.js";
+import { resolvePkp } from "./pkps.js";
+import { ensurePkpFunded, getTransactionCost, addTransactionCosts } from "./funding.js";
+import { reserveNonce, reserveNonces, markNonceBroadcast, releaseNonce, resyncNonces, recoverNonce } from "./nonce.js";
 import {
-    LitActionResource,
-    LitPKPResource,
-    createSiweMessageWithRecaps,
-    generateAuthSig
-} from "@lit-protocol/auth-helpers";
-import { getChainInfo, getEnv } from "./utils.js";
-import { litActionCode } from "./litAction.js";
+    GAS_LIMIT_MULTIPLIER,
+    getFeeData,
+    toTransactionFeeFields,
+    getMaxPricePerGas,
+    getExpectedPricePerGas,
+    formatFeeFields
+} from "./fees.js";
+import { simulateTransaction, formatReceipt, encodeContractCall } from "../contracts/index.js";
+import { assertTransactionAllowed } from "../policy/index.js";
+import { ApiError } from "../errors.js";
 
 // Environment variables
-const ETHEREUM_PRIVATE_KEY = getEnv("ETHEREUM_PRIVATE_KEY");
-const SELECTED_LIT_NETWORK = LIT_NETWORK.Datil;
-const LIT_CAPACITY_CREDIT_TOKEN_ID = getEnv("LIT_CAPACITY_CREDIT_TOKEN_ID");
-const LIT_PKP_PUBLIC_KEY = getEnv("LIT_PKP_PUBLIC_KEY");
 const CHAIN_TO_SEND_TX_ON = getEnv("CHAIN_TO_SEND_TX_ON");
+const TX_CONFIRMATION_TIMEOUT_MS = Number(getEnv("TX_CONFIRMATION_TIMEOUT_MS") || 120000);
 
-// Validation function for required environment variables
-const validateEnvironment = () => {
+// Validation function for required environment variables and the selected chain
+const validateEnvironment = (chain) => {
     const required = [
-        'ETHEREUM_PRIVATE_KEY',
-        'CHAIN_TO_SEND_TX_ON'
+        'ETHEREUM_PRIVATE_KEY'
     ];
 
     const missing = required.filter(key => !getEnv(key));
@@ -30,42 +32,44 @@ const validateEnvironment = () => {
     if (missing.length > 0) {
         throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
+
+    if (!chain) {
+        throw new Error('No chain selected. Pass a chain or set CHAIN_TO_SEND_TX_ON');
+    }
+
+    if (!isAllowedChain(chain)) {
+        throw new Error(`Chain ${chain} is not allowed. Allowed chains: ${getAllowedChains().join(', ') || 'none'}`);
+    }
 };
 
-// create contract transaction
-const createContractTransaction = async (
-    contract,
-    functionName,
-    params,
+// create transaction: fees, gas limit and nonce for a call or transfer from the PKP
+const createTransaction = async (
+    provider,
+    { to, data = "0x", value = 0 },
     pkpAddress,
     chainInfo,
-    value = "0"
+    { nonce, chain, fees, gasLimit: gasLimitOverride } = {}
 ) => {
     try {
-        // Encode function data
-        const functionData = contract.interface.encodeFunctionData(functionName, params);
-
-        // Get gas price
-        const gasPrice = await contract.provider.getGasPrice();
-
-
-        const estimatedGas = await contract.estimateGas[functionName](...params, {
-            from: pkpAddress,
-            value: ethers.utils.parseEther(value)
-        });
-        const gasLimit = estimatedGas.mul(12).div(10);
-
-        // Get nonce
-        const nonce = await contract.provider.getTransactionCount(pkpAddress);
+        // EIP-1559 or legacy fees depending on the chain and requested speed
+        const feeData = await getFeeData(provider, chain, fees);
 
+        // An explicit gas limit skips estimation (e.g. calls that depend on an earlier batch call)
+        const estimatedGas = gasLimitOverride !== undefined
+            ? ethers.BigNumber.from(gasLimitOverride)
+            : await provider.estimateGas({ from: pkpAddress, to, data, value });
+        const gasLimit = gasLimitOverride !== undefined
+            ? estimatedGas
+            : estimatedGas.mul(Math.round(GAS_LIMIT_MULTIPLIER * 100)).div(100);
 
         const unsignedTransaction = {
-            to: contract.address,
-            data: functionData,
-            value: ethers.utils.parseEther(value).toHexString(),
+            to,
+            data,
+            value: ethers.BigNumber.from(value).toHexString(),
             gasLimit: gasLimit.toHexString(),
-            gasPrice: gasPrice.toHexString(),
-            nonce: nonce,
+            ...toTransactionFeeFields(feeData),
+            // Reserved through the nonce manager; dry runs just peek at the chain
+            nonce: nonce !== undefined ? nonce : await provider.getTransactionCount(pkpAddress, "pending"),
             chainId: chainInfo.chainId
         };
 
@@ -73,193 +77,450 @@ const createContractTransaction = async (
             ...unsignedTransaction,
             value: ethers.utils.formatEther(unsignedTransaction.value),
             gasLimit: ethers.utils.formatUnits(unsignedTransaction.gasLimit, 0),
-            gasPrice: ethers.utils.formatUnits(unsignedTransaction.gasPrice, "gwei")
+            ...formatFeeFields(unsignedTransaction)
         });
 
-        return unsignedTransaction;
+        return { unsignedTransaction, estimatedGas, feeData };
     } catch (error) {
-        console.error('Error creating contract transaction:', error);
+        console.error('Error creating transaction:', error);
         throw error;
     }
 };
 
-export const signAndExecuteContractTx = async (
-    contractAddress,
-    contractABI,
+// create contract transaction
+const createContractTransaction = (
+    contract,
     functionName,
-    functionParams,
-    valueInEther = "0"
+    params,
+    pkpAddress,
+    chainInfo,
+    value = "0",
+    options = {}
+) => createTransaction(
+    contract.provider,
+    {
+        to: contract.address,
+        data: contract.interface.encodeFunctionData(functionName, params),
+        value: ethers.utils.parseEther(value)
+    },
+    pkpAddress,
+    chainInfo,
+    options
+);
+
+// Poll for the receipt of a broadcast transaction
+const waitForReceipt = async (provider, txHash, confirmations, contractInterface) => {
+    console.log(`🔄 Waiting for ${confirmations} confirmation(s) of ${txHash}...`);
+    try {
+        const receipt = await provider.waitForTransaction(txHash, confirmations, TX_CONFIRMATION_TIMEOUT_MS);
+        console.log(`✅ Transaction mined in block ${receipt.blockNumber}`);
+        return formatReceipt(receipt, contractInterface);
+    } catch (error) {
+        if (error.code === ethers.errors.TIMEOUT) {
+            throw new ApiError(
+                `Timed out waiting for ${confirmations} confirmation(s)`,
+                504,
+                "CONFIRMATION_TIMEOUT",
+                { txHash }
+            );
+        }
+        throw error;
+    }
+};
+
+// Simulate a contract transaction from the PKP without touching the Lit network
+const simulateContractTransaction = async (
+    contract,
+    functionName,
+    params,
+    pkpAddress,
+    chainInfo,
+    value = "0",
+    { chain, fees } = {}
 ) => {
-    let litNodeClient;
-    let pkpInfo = {
-        publicKey: LIT_PKP_PUBLIC_KEY,
+    const simulation = await simulateTransaction(
+        contract.provider,
+        {
+            from: pkpAddress,
+            to: contract.address,
+            data: contract.interface.encodeFunctionData(functionName, params),
+            value: ethers.utils.parseEther(value),
+        },
+        contract.interface,
+        functionName
+    );
+
+    if (!simulation.success) {
+        console.log("⚠️  Dry run reverted:", simulation.revert.reason || simulation.revert.data);
+        return { dryRun: true, from: pkpAddress, simulation, transaction: null };
+    }
+
+    const { unsignedTransaction, estimatedGas, feeData } = await createContractTransaction(
+        contract,
+        functionName,
+        params,
+        pkpAddress,
+        chainInfo,
+        value,
+        { chain, fees }
+    );
+    const maxPricePerGas = getMaxPricePerGas(unsignedTransaction);
+    const gasLimit = ethers.BigNumber.from(unsignedTransaction.gasLimit);
+
+    return {
+        dryRun: true,
+        from: pkpAddress,
+        simulation,
+        transaction: unsignedTransaction,
+        gasEstimate: estimatedGas.toString(),
+        fee: {
+            type: unsignedTransaction.type,
+            ...formatFeeFields(unsignedTransaction),
+            estimatedCost: ethers.utils.formatEther(estimatedGas.mul(getExpectedPricePerGas(feeData))),
+            maxCost: ethers.utils.formatEther(gasLimit.mul(maxPricePerGas)),
+            totalWithValue: ethers.utils.formatEther(gasLimit.mul(maxPricePerGas).add(ethers.utils.parseEther(value))),
+        },
     };
+};
+
+// Sign and send one transaction from a PKP: policy, funding, nonce, Lit Action,
+// transaction record and optionally the receipt. `value` is in wei.
+export const signAndExecuteTransaction = async (
+    { to, data = "0x", value = 0, contractInterface = null, kind = "contract", metadata = {} },
+    {
+        chain = CHAIN_TO_SEND_TX_ON,
+        waitForConfirmations = 0,
+        fees,
+        pkp,
+        clientId = null,
+        beforeSign = () => {},
+        onStage = () => {}
+    } = {}
+) => {
+    // Validate environment
+    validateEnvironment(chain);
 
+    // Get chain information
+    const chainInfo = getChainInfo(chain);
+    if (!chainInfo) {
+        throw new Error(`Invalid chain configuration for ${chain}`);
+    }
+    const ethersProvider = getProvider(chain);
+
+    const pkpInfo = await resolvePkp(pkp, { clientId });
+    // Refuse anything outside the client's signing policy before it is built; the PKP's
+    // address lets self-transfers (cancellations) through
+    assertTransactionAllowed(clientId, { to, data, value }, pkpInfo.ethAddress);
+    // Gas estimation fails if the PKP can't cover the value it sends
+    await ensurePkpFunded(chain, pkpInfo.ethAddress, { value });
+
+    // Reserve the PKP nonce; it is handed back if nothing gets broadcast
+    const nonce = await reserveNonce(ethersProvider, chain, pkpInfo.ethAddress);
+    let unsignedTransaction;
+    let sent;
+    // beforeSign may return a function that undoes it (e.g. a quota charge) if nothing is broadcast
+    let undoBeforeSign = () => {};
     try {
-        // Validate environment
-        validateEnvironment();
+        console.log(`🔄 Creating ${kind} transaction...`);
+        ({ unsignedTransaction } = await createTransaction(
+            ethersProvider,
+            { to, data, value },
+            pkpInfo.ethAddress,
+            chainInfo,
+            { nonce, chain, fees }
+        ));
+        console.log("✅ Transaction created");
+        // Last chance for the caller to veto the transaction (quotas, policy)
+        undoBeforeSign = (await beforeSign(unsignedTransaction)) || undoBeforeSign;
+        await ensurePkpFunded(chain, pkpInfo.ethAddress, getTransactionCost(unsignedTransaction));
+        onStage("built", { nonce, from: pkpInfo.ethAddress });
+
+        sent = await signAndSendTransaction({ chain, pkpInfo, unsignedTransaction, clientId });
+    } catch (error) {
+        undoBeforeSign();
+        await recoverNonce(ethersProvider, chain, pkpInfo.ethAddress, nonce);
+        throw error;
+    }
+    markNonceBroadcast(chain, pkpInfo.ethAddress, nonce, sent.txHash);
+    // The Lit Action signs and broadcasts in one step
+    onStage("signed", { txHash: sent.txHash });
+    onStage("broadcast", { txHash: sent.txHash });
+
+    // Keep a record so the transaction can be sped up or cancelled later
+    recordTransaction({
+        ...sent,
+        chain,
+        from: pkpInfo.ethAddress,
+        publicKey: pkpInfo.publicKey,
+        kind,
+        clientId,
+        unsignedTransaction,
+        metadata,
+    });
+
+    const transaction = {
+        chain,
+        from: pkpInfo.ethAddress,
+        ...sent,
+        receipt: null,
+    };
 
-        // Get chain information
-        const chainInfo = getChainInfo(CHAIN_TO_SEND_TX_ON);
-        if (!chainInfo) {
-            throw new Error(`Invalid chain configuration for ${CHAIN_TO_SEND_TX_ON}`);
+    if (waitForConfirmations > 0) {
+        transaction.receipt = await waitForReceipt(
+            ethersProvider,
+            sent.txHash,
+            waitForConfirmations,
+            contractInterface
+        );
+        updateTransactionRecord(sent.txHash, { status: transaction.receipt.status === "success" ? "confirmed" : "reverted" });
+        if (transaction.receipt.status === "success") {
+            onStage("confirmed", { blockNumber: transaction.receipt.blockNumber });
         }
+    }
 
-        // Initialize providers and wallets
-        const ethersProvider = new ethers.providers.JsonRpcProvider(chainInfo.rpcUrl);
-        const ethersWallet = new ethers.Wallet(ETHEREUM_PRIVATE_KEY, ethersProvider);
+    return transaction;
+};
 
-        const yellowstoneEthersWallet = new ethers.Wallet(
-            ETHEREUM_PRIVATE_KEY,
-            new ethers.providers.JsonRpcProvider(LIT_RPC.CHRONICLE_YELLOWSTONE)
-        );
+export const signAndExecuteContractTx = async (
+    contractAddress,
+    contractABI,
+    functionName,
+    functionParams,
+    valueInEther = "0",
+    { dryRun = false, ...options } = {}
+) => {
+    try {
+        const { chain = CHAIN_TO_SEND_TX_ON, fees, pkp, clientId = null } = options;
+
+        // 400 INVALID_CONTRACT_CALL for an ABI, function or params the caller got wrong
+        const { contractInterface, data } = encodeContractCall(contractABI, functionName, functionParams);
+        const value = ethers.utils.parseEther(valueInEther);
+
+        // Dry run stops before anything is minted, funded or signed
+        if (dryRun) {
+            validateEnvironment(chain);
+            const { ethAddress } = await resolvePkp(pkp, { clientId, mint: false });
+            // Same check as the signing path, so a dry-run cancel (self-transfer) passes too
+            assertTransactionAllowed(clientId, { to: contractAddress, data, value }, ethAddress);
+            const contract = new ethers.Contract(contractAddress, contractABI, getProvider(chain));
+            console.log("🔄 Simulating contract transaction (dry run)...");
+            const simulation = await simulateContractTransaction(
+                contract,
+                functionName,
+                functionParams,
+                ethAddress,
+                getChainInfo(chain),
+                valueInEther,
+                { chain, fees }
+            );
+            console.log("✅ Dry run complete");
+            return { ...simulation, chain };
+        }
 
-        // Initialize contract instance
-        const contract = new ethers.Contract(contractAddress, contractABI, ethersProvider);
+        return await signAndExecuteTransaction(
+            {
+                to: contractAddress,
+                data,
+                value,
+                contractInterface,
+                kind: "contract",
+                metadata: { contractAddress, functionName, functionParams },
+            },
+            options
+        );
+    } catch (error) {
+        console.error('Contract Transaction Error:', error);
+        throw error;
+    }
+};
 
-        // Connect to Lit Contracts
-        console.log("🔄 Connecting LitContracts client to network...");
-        const litContracts = new LitContracts({
-            signer: yellowstoneEthersWallet,
-            network: SELECTED_LIT_NETWORK,
-        });
-        await litContracts.connect();
-        console.log("✅ Connected LitContracts client to network");
-
-        // Handle PKP setup
-        if (!LIT_PKP_PUBLIC_KEY) {
-            console.log("🔄 PKP wasn't provided, minting a new one...");
-            const mintResult = await litContracts.pkpNftContractUtils.write.mint();
-            pkpInfo = mintResult.pkp;
-            console.log("✅ PKP successfully minted");
-        } else {
-            console.log(`ℹ️  Using provided PKP: ${LIT_PKP_PUBLIC_KEY}`);
-            pkpInfo = {
-                publicKey: LIT_PKP_PUBLIC_KEY,
-                ethAddress: ethers.utils.computeAddress(`0x${LIT_PKP_PUBLIC_KEY}`)
-            };
+// Run several contract calls in order: consecutive nonces, one Lit Action to sign
+// them all, then broadcast one by one. Calls after a failure are skipped when
+// stopOnFailure is set; a failed broadcast always stops the batch because every
+// later nonce depends on it.
+export const signAndExecuteBatch = async (
+    calls,
+    {
+        chain = CHAIN_TO_SEND_TX_ON,
+        stopOnFailure = false,
+        waitForConfirmations = 0,
+        fees,
+        pkp,
+        clientId = null,
+        beforeSign = () => {}
+    } = {}
+) => {
+    validateEnvironment(chain);
+    const chainInfo = getChainInfo(chain);
+    const ethersProvider = getProvider(chain);
+
+    const pkpInfo = await resolvePkp(pkp, { clientId });
+    // Gas estimation fails if the PKP can't cover the value each call sends
+    await ensurePkpFunded(
+        chain,
+        pkpInfo.ethAddress,
+        { value: calls.reduce((total, call) => total.add(ethers.utils.parseEther(call.value || "0")), ethers.BigNumber.from(0)) }
+    );
+
+    const results = calls.map((call, index) => ({
+        index,
+        contractAddress: call.contractAddress,
+        functionName: call.functionName,
+        status: "skipped",
+    }));
+    const skipRest = (from) => results.slice(from).forEach((result) => {
+        result.status = "skipped";
+    });
+
+    // Build every call first; only the ones that build get a nonce
+    console.log(`🔄 Building ${calls.length} batch transaction(s)...`);
+    const built = [];
+    for (const [index, call] of calls.entries()) {
+        const contract = new ethers.Contract(call.contractAddress, call.contractABI, ethersProvider);
+        try {
+            assertTransactionAllowed(clientId, {
+                to: call.contractAddress,
+                data: contract.interface.encodeFunctionData(call.functionName, call.functionParams),
+                value: ethers.utils.parseEther(call.value || "0"),
+            }, pkpInfo.ethAddress);
+            const { unsignedTransaction } = await createContractTransaction(
+                contract,
+                call.functionName,
+                call.functionParams,
+                pkpInfo.ethAddress,
+                chainInfo,
+                call.value || "0",
+                { chain, fees, gasLimit: call.gasLimit }
+            );
+            const undoBeforeSign = (await beforeSign(unsignedTransaction)) || (() => {});
+            built.push({ index, contract, unsignedTransaction, undoBeforeSign });
+            results[index].status = "built";
+        } catch (error) {
+            results[index].status = "failed";
+            results[index].error = index > 0 && call.gasLimit === undefined && !error.statusCode
+                ? `${error.reason || error.message} (pass gasLimit for calls that depend on earlier calls in the batch)`
+                : error.reason || error.message;
+            if (stopOnFailure) {
+                skipRest(index + 1);
+                break;
+            }
         }
+    }
 
-        // Check and handle PKP balance
-        console.log(`🔄 Checking PKP balance...`);
-        const bal = await ethersProvider.getBalance(pkpInfo.ethAddress);
-        const formattedBal = ethers.utils.formatEther(bal);
-
-        if (Number(formattedBal) < Number(ethers.utils.formatEther(25000))) {
-            console.log(`🔄 Funding PKP...`);
-            const fundingTx = {
-                to: pkpInfo.ethAddress,
-                value: ethers.utils.parseEther("0.001"),
-                gasLimit: ethers.BigNumber.from(21000).toHexString(),
-                gasPrice: (await ethersWallet.getGasPrice()).toHexString(),
-                nonce: await ethersProvider.getTransactionCount(ethersWallet.address),
-                chainId: chainInfo.chainId,
-            };
-
-            const fundingTxPromise = await ethersWallet.sendTransaction(fundingTx);
-            await fundingTxPromise.wait();
-            console.log(`✅ PKP funded`);
-        }
+    if (built.length === 0) {
+        return { chain, from: pkpInfo.ethAddress, results };
+    }
 
-        // Initialize Lit Node Client
-        console.log("🔄 Initializing connection to the Lit network...");
-        litNodeClient = new LitNodeClient({
-            litNetwork: SELECTED_LIT_NETWORK,
-            debug: process.env.NODE_ENV === 'development',
-        });
-        await litNodeClient.connect();
-        console.log("✅ Connected to the Lit network");
-
-        // Create contract transaction
-        console.log("🔄 Creating contract transaction...");
-        const unsignedTransaction = await createContractTransaction(
-            contract,
-            functionName,
-            functionParams,
+    // Whatever doesn't get broadcast undoes its beforeSign
+    const undoUnsent = (entries) => entries.forEach((entry) => entry.undoBeforeSign());
+
+    let nonces;
+    try {
+        await ensurePkpFunded(
+            chain,
             pkpInfo.ethAddress,
-            chainInfo,
-            valueInEther
+            built.reduce((total, entry) => addTransactionCosts(total, getTransactionCost(entry.unsignedTransaction)), {})
         );
+        nonces = await reserveNonces(ethersProvider, chain, pkpInfo.ethAddress, built.length);
+    } catch (error) {
+        undoUnsent(built);
+        throw error;
+    }
+    built.forEach((entry, i) => {
+        entry.unsignedTransaction.nonce = nonces[i];
+        results[entry.index].nonce = nonces[i];
+    });
 
-        const unsignedTransactionHash = ethers.utils.keccak256(
-            ethers.utils.serializeTransaction(unsignedTransaction)
-        );
-        console.log("✅ Contract transaction created");
-
-        // Handle Capacity Credits
-        let capacityTokenId = LIT_CAPACITY_CREDIT_TOKEN_ID;
-        if (!capacityTokenId) {
-            console.log("🔄 Minting new Capacity Credit...");
-            const mintResult = await litContracts.mintCapacityCreditsNFT({
-                requestsPerKilosecond: 10,
-                daysUntilUTCMidnightExpiration: 1,
-            });
-            capacityTokenId = mintResult.capacityTokenIdStr;
+    let signed;
+    try {
+        console.log("🔄 Signing batch in one Lit Action...");
+        signed = await signTransactions({
+            chain,
+            pkpInfo,
+            unsignedTransactions: built.map((entry) => entry.unsignedTransaction),
+            clientId,
+        });
+        console.log("✅ Batch signed");
+    } catch (error) {
+        undoUnsent(built);
+        for (const nonce of [...nonces].reverse()) {
+            await releaseNonce(chain, pkpInfo.ethAddress, nonce);
         }
+        throw error;
+    }
 
-        // Create capacity delegation auth signature
-        const { capacityDelegationAuthSig } = await litNodeClient.createCapacityDelegationAuthSig({
-            dAppOwnerWallet: ethersWallet,
-            capacityTokenId,
-            delegateeAddresses: [ethersWallet.address],
-            uses: "1",
-        });
+    // Broadcast in nonce order; whatever is left unsent gives its nonce back
+    let sentCount = 0;
+    for (const [i, entry] of built.entries()) {
+        const result = results[entry.index];
+        const signature = signed[i];
+        if (!signature || signature.errorCode) {
+            result.status = "failed";
+            result.error = signature ? signature.errorMessage : 'Transaction was not signed';
+            break;
+        }
 
-        console.log("🔄 Executing Lit Action...");
-        const result = await litNodeClient.executeJs({
-            sessionSigs: await litNodeClient.getSessionSigs({
-                chain: CHAIN_TO_SEND_TX_ON,
-                capabilityAuthSigs: [capacityDelegationAuthSig],
-                expiration: new Date(Date.now() + 1000 * 60 * 60 * 24).toISOString(),
-                resourceAbilityRequests: [
-                    {
-                        resource: new LitPKPResource("*"),
-                        ability: LIT_ABILITY.PKPSigning,
-                    },
-                    {
-                        resource: new LitActionResource("*"),
-                        ability: LIT_ABILITY.LitActionExecution,
-                    },
-                ],
-                authNeededCallback: async ({ resourceAbilityRequests, expiration, uri }) => {
-                    const toSign = await createSiweMessageWithRecaps({
-                        uri: uri,
-                        expiration: expiration,
-                        resources: resourceAbilityRequests,
-                        walletAddress: ethersWallet.address,
-                        nonce: await litNodeClient.getLatestBlockhash(),
-                        litNodeClient,
-                    });
-                    return await generateAuthSig({
-                        signer: ethersWallet,
-                        toSign,
-                    });
-                },
-            }),
-            code: litActionCode,
-            jsParams: {
-                toSign: ethers.utils.arrayify(unsignedTransactionHash),
+        try {
+            const response = await ethersProvider.sendTransaction(signature.signedTransaction);
+            markNonceBroadcast(chain, pkpInfo.ethAddress, entry.unsignedTransaction.nonce, response.hash);
+            recordTransaction({
+                txHash: response.hash,
+                signedTransaction: signature.signedTransaction,
+                recoveredAddress: signature.recoveredAddress,
+                nonce: entry.unsignedTransaction.nonce,
+                chain,
+                from: pkpInfo.ethAddress,
                 publicKey: pkpInfo.publicKey,
-                sigName: "signedTransaction",
-                chain: CHAIN_TO_SEND_TX_ON,
-                unsignedTransaction,
-            },
-        });
-
-        console.log("✅ Lit Action executed successfully");
-        return result;
+                kind: "batch",
+                clientId,
+                unsignedTransaction: entry.unsignedTransaction,
+                metadata: {
+                    contractAddress: calls[entry.index].contractAddress,
+                    functionName: calls[entry.index].functionName,
+                    functionParams: calls[entry.index].functionParams,
+                    batchIndex: entry.index,
+                },
+            });
+            sentCount += 1;
+            result.status = "broadcast";
+            result.txHash = response.hash;
+        } catch (error) {
+            result.status = "failed";
+            result.error = `Failed to send transaction: ${error.reason || error.message}`;
+            break;
+        }
 
-    } catch (error) {
-        console.error('Contract Transaction Error:', error);
-        throw error;
-    } finally {
-        if (litNodeClient) {
+        if (waitForConfirmations > 0) {
             try {
-                await litNodeClient.disconnect();
-                console.log("✅ Disconnected from Lit network");
+                result.receipt = await waitForReceipt(ethersProvider, result.txHash, waitForConfirmations, entry.contract.interface);
             } catch (error) {
-                console.error('Error disconnecting from Lit network:', error);
+                // Sent but unconfirmed (timeout, RPC error): stop so the rest give their nonces back
+                result.error = error.message;
+                break;
+            }
+            result.status = result.receipt.status === "success" ? "confirmed" : "reverted";
+            updateTransactionRecord(result.txHash, { status: result.status });
+            if (result.status === "reverted" && stopOnFailure) {
+                break;
+            }
+        }
+    }
+
+    if (sentCount < built.length) {
+        const unsent = built.slice(sentCount);
+        undoUnsent(unsent);
+        unsent.forEach((entry) => {
+            if (results[entry.index].status === "built") {
+                results[entry.index].status = "skipped";
             }
+        });
+        for (const entry of [...unsent].reverse()) {
+            await releaseNonce(chain, pkpInfo.ethAddress, entry.unsignedTransaction.nonce);
         }
+        await resyncNonces(ethersProvider, chain, pkpInfo.ethAddress).catch((error) => {
+            console.error('Error resyncing nonces after batch:', error);
+        });
     }
-};
\ No newline at end of file
+
+    return { chain, from: pkpInfo.ethAddress, results };
+};
@@ -1,28 +1,135 @@
 // @ts-nocheck
+import { checkValueRule, checkTransactionPolicy, checkMessagePolicy } from "../policy/index.js";
+
+// The one Lit Action every PKP is locked to. jsParams.mode picks what it does:
+//   transaction: sign one transaction and broadcast it
+//   batch:       sign several transactions for the server to broadcast in order
+//   message:     sign an EIP-191 message or EIP-712 typed data
+// policy and boundClientId are constants compiled into the code (see buildLitActionCode),
+// so they are covered by the action's IPFS CID and can't be changed by the caller.
+
 const _litActionCode = async () => {
-    const signature = await Lit.Actions.signAndCombineEcdsa({
-        toSign,
-        publicKey,
-        sigName,
-    });
-    const jsonSignature = JSON.parse(signature);
-    jsonSignature.r = "0x" + jsonSignature.r.substring(2);
-    jsonSignature.s = "0x" + jsonSignature.s;
-    const hexSignature = ethers.utils.joinSignature(jsonSignature);
-    const signedTx = ethers.utils.serializeTransaction(unsignedTransaction, hexSignature);
-    const recoveredAddress = ethers.utils.recoverAddress(toSign, hexSignature);
-    console.log("Recovered Address:", recoveredAddress);
-    const response = await Lit.Actions.runOnce({ waitForResponse: true, name: "txnSender" }, async () => {
+    const respond = (response) => Lit.Actions.setResponse({ response: JSON.stringify(response) });
+
+    // A PKP minted for one client only signs for that client; shared PKPs for any client in the policy
+    if (boundClientId !== null && clientId !== boundClientId) {
+        respond({ errorCode: "POLICY_VIOLATION", errorMessage: `This PKP only signs for client ${boundClientId}` });
+        return;
+    }
+
+    const pkpAddress = ethers.utils.computeAddress(publicKey.startsWith("0x") ? publicKey : "0x" + publicKey);
+
+    const sign = async (hash, name) => {
+        const signature = await Lit.Actions.signAndCombineEcdsa({ toSign: hash, publicKey, sigName: name });
+        const jsonSignature = JSON.parse(signature);
+        jsonSignature.r = "0x" + jsonSignature.r.substring(2);
+        jsonSignature.s = "0x" + jsonSignature.s;
+        return ethers.utils.joinSignature(jsonSignature);
+    };
+
+    // Only sign if toSign really is the hash of this transaction, including its type (legacy or EIP-1559),
+    // and the embedded policy allows it
+    const checkTransaction = (unsignedTransaction, hash) => {
+        const expectedHash = ethers.utils.keccak256(ethers.utils.serializeTransaction(unsignedTransaction));
+        if (expectedHash !== ethers.utils.hexlify(hash)) {
+            return { errorCode: "HASH_MISMATCH", errorMessage: "toSign does not match the unsigned transaction" };
+        }
+        const violation = checkTransactionPolicy(policy, clientId, unsignedTransaction, pkpAddress);
+        return violation ? { errorCode: "POLICY_VIOLATION", errorMessage: violation } : null;
+    };
+
+    if (mode === "transaction") {
+        const failure = checkTransaction(unsignedTransaction, toSign);
+        if (failure) {
+            respond({ txHash: null, ...failure });
+            return;
+        }
+        const hexSignature = await sign(toSign, "signedTransaction");
+        const signedTx = ethers.utils.serializeTransaction(unsignedTransaction, hexSignature);
+        const recoveredAddress = ethers.utils.recoverAddress(toSign, hexSignature);
+        const response = await Lit.Actions.runOnce({ waitForResponse: true, name: "txnSender" }, async () => {
+            try {
+                const rpcUrl = await Lit.Actions.getRpcUrl({ chain });
+                const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+                const transactionReceipt = await provider.sendTransaction(signedTx);
+                return JSON.stringify({ txHash: transactionReceipt.hash, errorCode: null, errorMessage: null });
+            }
+            catch (error) {
+                return JSON.stringify({
+                    txHash: null,
+                    errorCode: error.code || "SEND_FAILED",
+                    errorMessage: error.reason || error.message,
+                });
+            }
+        });
+        respond({ ...JSON.parse(response), signedTransaction: signedTx, recoveredAddress });
+        return;
+    }
+
+    if (mode === "batch") {
+        const signed = [];
+        for (let i = 0; i < transactions.length; i++) {
+            const { unsignedTransaction, toSign } = transactions[i];
+            const failure = checkTransaction(unsignedTransaction, toSign);
+            if (failure) {
+                signed.push(failure);
+                break;
+            }
+            const hexSignature = await sign(toSign, `signedTransaction${i}`);
+            signed.push({
+                signedTransaction: ethers.utils.serializeTransaction(unsignedTransaction, hexSignature),
+                recoveredAddress: ethers.utils.recoverAddress(toSign, hexSignature),
+                errorCode: null,
+            });
+        }
+        respond({ signed });
+        return;
+    }
+
+    if (mode === "message") {
+        // The hash is rebuilt here so the policy is checked against what actually gets signed
+        let hash;
+        let request;
         try {
-            const rpcUrl = await Lit.Actions.getRpcUrl({ chain });
-            const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-            const transactionReceipt = await provider.sendTransaction(signedTx);
-            return `Transaction Sent Successfully. Transaction Hash: ${transactionReceipt.hash}`;
+            if (kind === "message") {
+                hash = ethers.utils.hashMessage(encoding === "hex" ? ethers.utils.arrayify(message) : message);
+                request = { kind };
+            } else {
+                hash = ethers.utils._TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.value);
+                request = {
+                    kind,
+                    domain: typedData.domain,
+                    primaryType: ethers.utils._TypedDataEncoder.getPrimaryType(typedData.types),
+                    value: typedData.value,
+                };
+            }
+        } catch (error) {
+            respond({ errorCode: "INVALID_MESSAGE", errorMessage: error.message });
+            return;
+        }
+        if (hash !== ethers.utils.hexlify(toSign)) {
+            respond({ errorCode: "HASH_MISMATCH", errorMessage: "toSign does not match the message" });
+            return;
         }
-        catch (error) {
-            return `Error: When sending transaction: ${error.message}`;
+        const violation = checkMessagePolicy(policy, clientId, request);
+        if (violation) {
+            respond({ errorCode: "POLICY_VIOLATION", errorMessage: violation });
+            return;
         }
-    });
-    Lit.Actions.setResponse({ response });
+        const hexSignature = await sign(toSign, "signedMessage");
+        respond({ signature: hexSignature, recoveredAddress: ethers.utils.recoverAddress(toSign, hexSignature), errorCode: null });
+        return;
+    }
+
+    respond({ errorCode: "INVALID_MODE", errorMessage: `Unknown mode ${mode}` });
 };
-export const litActionCode = `(${_litActionCode.toString()})();`;
+
+// Same policy and binding, same code, same CID
+export const buildLitActionCode = (policy, boundClientId) => [
+    `const policy = ${JSON.stringify(policy)};`,
+    `const boundClientId = ${JSON.stringify(boundClientId)};`,
+    `const checkValueRule = ${checkValueRule.toString()};`,
+    `const checkTransactionPolicy = ${checkTransactionPolicy.toString()};`,
+    `const checkMessagePolicy = ${checkMessagePolicy.toString()};`,
+    `(${_litActionCode.toString()})();`,
+].join("\n");
@@ -0,0 +1,175 @@
+import { getEnv } from "./utils.js";
+
+// Per (chain, address) nonce manager so concurrent requests never share a nonce.
+// Nonces are reserved in order, marked once broadcast and released if the
+// transaction never made it out; released nonces below the head are gaps that
+// the next reservation fills first.
+
+const NONCE_STUCK_AFTER_MS = Number(getEnv("NONCE_STUCK_AFTER_MS") || 1000 * 60 * 5);
+
+const managers = new Map();
+
+const getManager = (chain, address) => {
+    const key = `${chain}:${address.toLowerCase()}`;
+    if (!managers.has(key)) {
+        managers.set(key, {
+            chain,
+            address,
+            nextNonce: null,
+            reserved: new Map(),
+            released: new Set(),
+            lock: Promise.resolve(),
+        });
+    }
+    return managers.get(key);
+};
+
+// Serialise every state change for one address
+const withLock = (manager, fn) => {
+    const run = manager.lock.then(fn, fn);
+    manager.lock = run.catch(() => {});
+    return run;
+};
+
+const syncFromChain = async (manager, provider) => {
+    const [latest, pending] = await Promise.all([
+        provider.getTransactionCount(manager.address, "latest"),
+        provider.getTransactionCount(manager.address, "pending"),
+    ]);
+
+    // Anything below the mined count is done
+    for (const nonce of manager.reserved.keys()) {
+        if (nonce < latest) {
+            manager.reserved.delete(nonce);
+        }
+    }
+    for (const nonce of manager.released) {
+        if (nonce < latest) {
+            manager.released.delete(nonce);
+        }
+    }
+
+    const highestTracked = Math.max(-1, ...manager.reserved.keys());
+    manager.nextNonce = Math.max(pending, latest, highestTracked + 1);
+
+    // Drop released nonces the node already has a pending transaction for
+    for (const nonce of manager.released) {
+        if (nonce >= manager.nextNonce || nonce < pending) {
+            manager.released.delete(nonce);
+        }
+    }
+    return { latest, pending };
+};
+
+export const reserveNonces = (provider, chain, address, count = 1) => {
+    const manager = getManager(chain, address);
+    return withLock(manager, async () => {
+        if (manager.nextNonce === null) {
+            await syncFromChain(manager, provider);
+        }
+
+        const nonces = [];
+        // A single reservation fills the lowest gap first; batches stay consecutive
+        if (count === 1 && manager.released.size > 0) {
+            const gap = Math.min(...manager.released);
+            manager.released.delete(gap);
+            nonces.push(gap);
+        }
+        while (nonces.length < count) {
+            nonces.push(manager.nextNonce);
+            manager.nextNonce += 1;
+        }
+
+        const reservedAt = Date.now();
+        nonces.forEach((nonce) => {
+            manager.reserved.set(nonce, { status: "reserved", txHash: null, reservedAt, broadcastAt: null });
+        });
+        return nonces;
+    });
+};
+
+export const reserveNonce = async (provider, chain, address) => {
+    const [nonce] = await reserveNonces(provider, chain, address, 1);
+    return nonce;
+};
+
+export const markNonceBroadcast = (chain, address, nonce, txHash) => {
+    const manager = getManager(chain, address);
+    const entry = manager.reserved.get(nonce) || { reservedAt: Date.now() };
+    manager.reserved.set(nonce, { ...entry, status: "broadcast", txHash, broadcastAt: Date.now() });
+};
+
+// Give back a nonce whose transaction was never broadcast
+export const releaseNonce = (chain, address, nonce) => {
+    const manager = getManager(chain, address);
+    return withLock(manager, async () => {
+        const entry = manager.reserved.get(nonce);
+        if (entry && entry.status === "broadcast") {
+            return;
+        }
+        manager.reserved.delete(nonce);
+        manager.released.add(nonce);
+
+        // Shrink the head back down while the top nonces are unused
+        while (manager.released.has(manager.nextNonce - 1)) {
+            manager.nextNonce -= 1;
+            manager.released.delete(manager.nextNonce);
+        }
+    });
+};
+
+export const resyncNonces = (provider, chain, address) => {
+    const manager = getManager(chain, address);
+    return withLock(manager, async () => {
+        await syncFromChain(manager, provider);
+        return manager.nextNonce;
+    });
+};
+
+// Release then resync after a failure; the node is the source of truth
+export const recoverNonce = async (provider, chain, address, nonce) => {
+    try {
+        await releaseNonce(chain, address, nonce);
+        await resyncNonces(provider, chain, address);
+    } catch (error) {
+        console.error(`Error resyncing nonces for ${address} on ${chain}:`, error);
+    }
+};
+
+export const getNonceStatus = async (provider, chain, address) => {
+    const manager = getManager(chain, address);
+    const { latest, pending } = await withLock(manager, () => syncFromChain(manager, provider));
+
+    const tracked = [...manager.reserved.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([nonce, entry]) => ({
+            nonce,
+            status: entry.status,
+            txHash: entry.txHash,
+            reservedAt: new Date(entry.reservedAt).toISOString(),
+            broadcastAt: entry.broadcastAt ? new Date(entry.broadcastAt).toISOString() : null,
+        }));
+
+    // Nonces between the mined count and the head that nothing is using
+    const gaps = [];
+    for (let nonce = latest; nonce < manager.nextNonce; nonce++) {
+        if (!manager.reserved.has(nonce) && nonce >= pending) {
+            gaps.push(nonce);
+        }
+    }
+
+    const stuck = tracked.filter((entry) =>
+        entry.status === "broadcast" &&
+        Date.now() - Date.parse(entry.broadcastAt) > NONCE_STUCK_AFTER_MS
+    );
+
+    return {
+        chain,
+        address,
+        nextNonce: manager.nextNonce,
+        onChain: { latest, pending },
+        pending: tracked,
+        gaps,
+        stuck,
+    };
+};
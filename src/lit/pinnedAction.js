@@ -0,0 +1,136 @@
+import crypto from "crypto";
+import axios from "axios";
+import * as ethers from "ethers";
+import { AUTH_METHOD_TYPE } from "@lit-protocol/constants";
+import { buildLitActionCode } from "./litAction.js";
+import { getLitContracts } from "./session.js";
+import { getEnv } from "./utils.js";
+import { getPolicy } from "../policy/index.js";
+import { createStore } from "../store/index.js";
+import { ApiError } from "../errors.js";
+
+// The Lit Action, with the signing policy compiled in, is pinned to IPFS and PKPs are
+// minted with its CID as their only permitted auth method and sent to themselves, so
+// nobody (this server included) can add another way to sign. The nodes only run the
+// action by CID, so a compromised server can't drop the policy checks.
+//
+// Pinned actions are recorded in data/litActions.json, keyed by CID.
+
+const PINATA_JWT = getEnv("PINATA_JWT");
+const IPFS_PIN_URL = getEnv("LIT_ACTION_IPFS_PIN_URL") || "https://api.pinata.cloud/pinning/pinFileToIPFS";
+
+const actions = createStore("litActions");
+const pending = new Map();
+// Self-owned PKPs can't change permissions, so a passed check holds for good
+const lockedPkps = new Map();
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const pinToIpfs = async (code) => {
+    if (!PINATA_JWT) {
+        throw new ApiError("PINATA_JWT is not set, so the Lit Action can't be pinned to IPFS", 503, "IPFS_NOT_CONFIGURED");
+    }
+    const form = new FormData();
+    form.append("file", new Blob([code], { type: "application/javascript" }), "litAction.js");
+    // CIDv0 (Qm...), the form the PKP permissions contract stores
+    form.append("pinataOptions", JSON.stringify({ cidVersion: 0 }));
+    try {
+        const { data } = await axios.post(IPFS_PIN_URL, form, { headers: { Authorization: `Bearer ${PINATA_JWT}` } });
+        return data.IpfsHash;
+    } catch (error) {
+        throw new ApiError(`Pinning the Lit Action to IPFS failed: ${error.message}`, 502, "IPFS_PIN_FAILED");
+    }
+};
+
+// Action for the current policy, bound to clientId (null for shared PKPs); pinned on first use
+export const getCurrentAction = async (clientId = null) => {
+    const policy = getPolicy();
+    if (!policy) {
+        throw new ApiError("No signing policy is loaded", 503, "POLICY_MISSING");
+    }
+    const code = buildLitActionCode(policy, clientId);
+    const codeHash = sha256(code);
+    const existing = actions.list((record) => record.codeHash === codeHash)[0];
+    if (existing) {
+        return existing;
+    }
+
+    if (!pending.has(codeHash)) {
+        pending.set(codeHash, (async () => {
+            console.log("🔄 Pinning Lit Action to IPFS...");
+            const cid = await pinToIpfs(code);
+            console.log(`✅ Lit Action pinned: ${cid}`);
+            return actions.set(cid, {
+                cid,
+                codeHash,
+                clientId,
+                policyHash: sha256(JSON.stringify(policy)),
+                pinnedAt: new Date().toISOString(),
+            });
+        })().finally(() => {
+            pending.delete(codeHash);
+        }));
+    }
+    return pending.get(codeHash);
+};
+
+const toTokenId = (pkpInfo) => pkpInfo.tokenId ||
+    ethers.BigNumber.from(ethers.utils.keccak256(
+        pkpInfo.publicKey.startsWith("0x") ? pkpInfo.publicKey : `0x${pkpInfo.publicKey}`
+    )).toString();
+
+// CID to run for a PKP. Refuses (409 PKP_NOT_LOCKED) a PKP that anything but one of our
+// pinned actions could sign with, or whose NFT someone could still use to change that.
+export const getPkpActionCid = async (pkpInfo) => {
+    const self = pkpInfo.ethAddress.toLowerCase();
+    if (lockedPkps.has(self)) {
+        return lockedPkps.get(self);
+    }
+
+    const litContracts = await getLitContracts();
+    const tokenId = toTokenId(pkpInfo);
+    const [owner, addresses, authMethods] = await Promise.all([
+        litContracts.pkpNftContract.read.ownerOf(tokenId),
+        litContracts.pkpPermissionsContract.read.getPermittedAddresses(tokenId),
+        litContracts.pkpPermissionsContract.read.getPermittedAuthMethods(tokenId),
+    ]);
+
+    const problems = [];
+    if (owner.toLowerCase() !== self) {
+        problems.push(`its NFT is owned by ${owner} rather than the PKP itself`);
+    }
+    const others = addresses.filter((address) => address.toLowerCase() !== self);
+    if (others.length > 0) {
+        problems.push(`${others.join(", ")} may sign with it`);
+    }
+    const permitted = [];
+    for (const authMethod of authMethods) {
+        if (Number(authMethod.authMethodType) !== AUTH_METHOD_TYPE.LitAction) {
+            problems.push(`auth method type ${authMethod.authMethodType} may sign with it`);
+            continue;
+        }
+        const cid = litContracts.utils.getMultihashFromBytes(authMethod.id);
+        const record = actions.get(cid);
+        if (!record) {
+            problems.push(`Lit Action ${cid}, which this server didn't pin, may sign with it`);
+        } else if (record.clientId !== (pkpInfo.clientId || null)) {
+            problems.push(`Lit Action ${cid} is bound to another client`);
+        } else {
+            permitted.push(record);
+        }
+    }
+    if (permitted.length === 0) {
+        problems.push("no pinned Lit Action is permitted");
+    }
+    if (problems.length > 0) {
+        throw new ApiError(
+            `PKP ${pkpInfo.ethAddress} is not locked to a pinned Lit Action: ${problems.join("; ")}`,
+            409,
+            "PKP_NOT_LOCKED"
+        );
+    }
+
+    const newest = permitted.sort((a, b) => b.pinnedAt.localeCompare(a.pinnedAt))[0];
+    lockedPkps.set(self, newest.cid);
+    return newest.cid;
+};
@@ -0,0 +1,156 @@
+import * as ethers from "ethers";
+import { getEnv, getProvider, getAllowedChains } from "./utils.js";
+import { AUTH_METHOD_TYPE, AUTH_METHOD_SCOPE } from "@lit-protocol/constants";
+import { getLitContracts } from "./session.js";
+import { getCurrentAction } from "./pinnedAction.js";
+import { createStore } from "../store/index.js";
+import { ApiError } from "../errors.js";
+
+// Registry of the PKPs this server can sign with. Minted PKPs are saved right
+// away so they survive restarts; LIT_PKP_PUBLIC_KEY is listed as the "env" PKP.
+// Requests pick one with a selector: label, ethAddress or public key.
+
+const LIT_PKP_PUBLIC_KEY = getEnv("LIT_PKP_PUBLIC_KEY");
+// Label of the PKP used when a request doesn't select one
+const DEFAULT_PKP_LABEL = getEnv("DEFAULT_PKP_LABEL") || "default";
+
+const LABEL_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+const pkps = createStore("pkps");
+// Labels of PKPs being minted, lowercased; taken before the mint so two requests can't both use one
+const reservedLabels = new Set();
+let defaultMint = null;
+
+const toPublicKeyHex = (publicKey) => (publicKey.startsWith("0x") ? publicKey : `0x${publicKey}`);
+
+const envPkp = () => LIT_PKP_PUBLIC_KEY
+    ? {
+        label: "env",
+        publicKey: LIT_PKP_PUBLIC_KEY,
+        ethAddress: ethers.utils.computeAddress(toPublicKeyHex(LIT_PKP_PUBLIC_KEY)),
+        tokenId: null,
+        clientId: null,
+        source: "env",
+    }
+    : null;
+
+// PKPs a client may use: shared ones plus the ones it minted itself
+const isVisibleTo = (record, clientId) => !record.clientId || record.clientId === clientId;
+
+const allPkps = () => [envPkp(), ...pkps.list()].filter(Boolean);
+
+export const listPkps = (clientId = null) => allPkps().filter((record) => isVisibleTo(record, clientId));
+
+// Every PKP regardless of client, e.g. for the indexer to watch
+export const listPkpAddresses = () => allPkps().map((record) => record.ethAddress);
+
+export const findPkp = (selector, clientId = null) => {
+    const wanted = selector.toLowerCase();
+    return listPkps(clientId).find((record) =>
+        record.label.toLowerCase() === wanted ||
+        record.ethAddress.toLowerCase() === wanted ||
+        record.publicKey.toLowerCase().replace(/^0x/, "") === wanted.replace(/^0x/, "")
+    ) || null;
+};
+
+export const validatePkpLabel = (label) => {
+    if (typeof label !== "string" || !LABEL_PATTERN.test(label)) {
+        return "label must be 1-64 letters, digits, '.', '_' or '-'";
+    }
+    // Unique across all clients, so a label never resolves to two PKPs
+    if (
+        label === "env" ||
+        reservedLabels.has(label.toLowerCase()) ||
+        allPkps().some((record) => record.label.toLowerCase() === label.toLowerCase())
+    ) {
+        return `A PKP labelled ${label} already exists`;
+    }
+    return null;
+};
+
+export const mintPkp = async ({ label, clientId = null }) => {
+    const labelError = validatePkpLabel(label);
+    if (labelError) {
+        throw new ApiError(labelError, 400, "INVALID_PKP_LABEL");
+    }
+    // Held until the record is saved, or released if the mint fails
+    const reservedLabel = label.toLowerCase();
+    reservedLabels.add(reservedLabel);
+
+    try {
+        // The pinned action is the PKP's only way to sign, and the PKP owns itself so that can't change
+        const action = await getCurrentAction(clientId);
+        console.log(`🔄 Minting PKP ${label} locked to Lit Action ${action.cid}...`);
+        const litContracts = await getLitContracts();
+        const { pkp } = await litContracts.mintWithAuth({
+            // mintWithAuth wants an access token even for auth methods that have none
+            authMethod: { authMethodType: AUTH_METHOD_TYPE.LitAction, accessToken: "custom-auth" },
+            authMethodId: litContracts.utils.getBytesFromMultihash(action.cid),
+            scopes: [AUTH_METHOD_SCOPE.SignAnything],
+        });
+        console.log(`✅ PKP minted: ${pkp.ethAddress}`);
+
+        // Saved before anything else can fail so the PKP is never lost
+        return pkps.set(pkp.ethAddress.toLowerCase(), {
+            label,
+            publicKey: pkp.publicKey,
+            ethAddress: pkp.ethAddress,
+            tokenId: pkp.tokenId ? pkp.tokenId.toString() : null,
+            clientId,
+            actionCid: action.cid,
+            source: "minted",
+            createdAt: new Date().toISOString(),
+        });
+    } finally {
+        reservedLabels.delete(reservedLabel);
+    }
+};
+
+// PKP for requests that don't select one: the env PKP, else the saved default,
+// else mint the default once and keep it
+const getDefaultPkp = async ({ mint }) => {
+    const existing = envPkp() || findPkp(DEFAULT_PKP_LABEL);
+    if (existing || !mint) {
+        return existing;
+    }
+    if (!defaultMint) {
+        console.log("🔄 PKP wasn't provided, minting the default PKP...");
+        defaultMint = mintPkp({ label: DEFAULT_PKP_LABEL }).finally(() => {
+            defaultMint = null;
+        });
+    }
+    return defaultMint;
+};
+
+// Resolve a request's `pkp` selector; mint: false never mints (dry runs)
+export const resolvePkp = async (selector, { clientId = null, mint = true } = {}) => {
+    if (selector) {
+        const record = findPkp(selector, clientId);
+        if (!record) {
+            throw new ApiError(`PKP ${selector} not found`, 404, "PKP_NOT_FOUND");
+        }
+        console.log(`ℹ️  Using PKP ${record.label}: ${record.ethAddress}`);
+        return record;
+    }
+
+    const record = await getDefaultPkp({ mint });
+    if (!record) {
+        throw new ApiError('No PKP available. Set LIT_PKP_PUBLIC_KEY or create one with POST /pkps', 400, "NO_PKP");
+    }
+    console.log(`ℹ️  Using PKP ${record.label}: ${record.ethAddress}`);
+    return record;
+};
+
+// Native balance on every allowed chain; unreachable chains report the error
+export const getPkpBalances = async (ethAddress) => {
+    const chains = getAllowedChains();
+    const results = await Promise.allSettled(
+        chains.map((chain) => getProvider(chain).getBalance(ethAddress))
+    );
+    return Object.fromEntries(results.map((result, i) => [
+        chains[i],
+        result.status === "fulfilled"
+            ? { balance: ethers.utils.formatEther(result.value), error: null }
+            : { balance: null, error: result.reason.reason || result.reason.message },
+    ]));
+};
@@ -0,0 +1,255 @@
+import * as ethers from "ethers";
+import { LitContracts } from "@lit-protocol/contracts-sdk";
+import { LIT_NETWORK, LIT_RPC, LIT_ABILITY } from "@lit-protocol/constants";
+import { LitNodeClient } from "@lit-protocol/lit-node-client";
+import {
+    LitActionResource,
+    LitPKPResource,
+    createSiweMessageWithRecaps,
+    generateAuthSig
+} from "@lit-protocol/auth-helpers";
+import { getEnv } from "./utils.js";
+import { getCapacityCredit, recordCapacityUse } from "./capacity.js";
+
+// Long-lived Lit signing service: one connected node client, cached session sigs
+// and capacity delegations that are reused until they run out or near expiry.
+
+const ETHEREUM_PRIVATE_KEY = getEnv("ETHEREUM_PRIVATE_KEY");
+export const SELECTED_LIT_NETWORK = LIT_NETWORK.Datil;
+const SESSION_TTL_MS = Number(getEnv("LIT_SESSION_TTL_MS") || 1000 * 60 * 60 * 24);
+const SESSION_REFRESH_MARGIN_MS = Number(getEnv("LIT_SESSION_REFRESH_MARGIN_MS") || 1000 * 60 * 10);
+const CAPACITY_DELEGATION_USES = Number(getEnv("LIT_CAPACITY_DELEGATION_USES") || 100);
+const HEALTH_CHECK_INTERVAL_MS = Number(getEnv("LIT_HEALTH_CHECK_INTERVAL_MS") || 1000 * 30);
+
+const ownerWallet = new ethers.Wallet(ETHEREUM_PRIVATE_KEY);
+
+const state = {
+    litNodeClient: null,
+    connecting: null,
+    litContracts: null,
+    capacityDelegation: null,
+    sessions: new Map(),
+    healthCheck: null,
+};
+
+// Errors after which the node client is considered gone and worth one reconnect
+const isConnectionError = (error) => {
+    if (["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN"].includes(error.code)) {
+        return true;
+    }
+    return /network|fetch failed|socket|timed? ?out|not ready|handshake|session sig/i.test(error.message || "");
+};
+
+const resetSessions = () => {
+    state.capacityDelegation = null;
+    state.sessions.clear();
+};
+
+const connectLitNodeClient = async () => {
+    if (state.litNodeClient) {
+        try {
+            await state.litNodeClient.disconnect();
+        } catch (error) {
+            console.error('Error disconnecting stale Lit node client:', error);
+        }
+        state.litNodeClient = null;
+    }
+    // Session sigs are signed by the node set we were connected to
+    resetSessions();
+
+    console.log("🔄 Initializing connection to the Lit network...");
+    const litNodeClient = new LitNodeClient({
+        litNetwork: SELECTED_LIT_NETWORK,
+        debug: process.env.NODE_ENV === 'development',
+    });
+    await litNodeClient.connect();
+    console.log("✅ Connected to the Lit network");
+
+    state.litNodeClient = litNodeClient;
+    startHealthCheck();
+    return litNodeClient;
+};
+
+// Reconnect in the background if the client drops while idle
+const startHealthCheck = () => {
+    if (state.healthCheck) {
+        return;
+    }
+    state.healthCheck = setInterval(() => {
+        if (state.litNodeClient && !state.litNodeClient.ready && !state.connecting) {
+            console.log("⚠️  Lit node client is not ready, reconnecting...");
+            getLitNodeClient(true).catch((error) => {
+                console.error('Lit reconnect failed:', error);
+            });
+        }
+    }, HEALTH_CHECK_INTERVAL_MS);
+    state.healthCheck.unref();
+};
+
+export const getLitNodeClient = async (forceReconnect = false) => {
+    if (!forceReconnect && state.litNodeClient && state.litNodeClient.ready) {
+        return state.litNodeClient;
+    }
+    if (!state.connecting) {
+        state.connecting = connectLitNodeClient().finally(() => {
+            state.connecting = null;
+        });
+    }
+    return state.connecting;
+};
+
+export const getLitContracts = async () => {
+    if (!state.litContracts) {
+        state.litContracts = (async () => {
+            console.log("🔄 Connecting LitContracts client to network...");
+            const litContracts = new LitContracts({
+                signer: new ethers.Wallet(
+                    ETHEREUM_PRIVATE_KEY,
+                    new ethers.providers.JsonRpcProvider(LIT_RPC.CHRONICLE_YELLOWSTONE)
+                ),
+                network: SELECTED_LIT_NETWORK,
+            });
+            await litContracts.connect();
+            console.log("✅ Connected LitContracts client to network");
+            return litContracts;
+        })().catch((error) => {
+            state.litContracts = null;
+            throw error;
+        });
+    }
+    return state.litContracts;
+};
+
+const isFresh = (expiresAt) => expiresAt - SESSION_REFRESH_MARGIN_MS > Date.now();
+
+// Capacity delegation reused until its use budget is spent, it nears expiry or
+// the capacity manager moves on to another credit
+const getCapacityDelegation = async (litNodeClient) => {
+    const credit = await getCapacityCredit();
+    const current = state.capacityDelegation;
+    if (current && current.capacityTokenId === credit.tokenId && current.remainingUses > 0 && isFresh(current.expiresAt)) {
+        return current;
+    }
+
+    const capacityTokenId = credit.tokenId;
+    // A delegation can't outlive the credit behind it
+    const expiresAt = Math.min(Date.now() + SESSION_TTL_MS, credit.expiresAt || Infinity);
+    const { capacityDelegationAuthSig } = await litNodeClient.createCapacityDelegationAuthSig({
+        dAppOwnerWallet: ownerWallet,
+        capacityTokenId,
+        delegateeAddresses: [ownerWallet.address],
+        uses: String(CAPACITY_DELEGATION_USES),
+        expiration: new Date(expiresAt).toISOString(),
+    });
+
+    state.capacityDelegation = {
+        capacityTokenId,
+        authSig: capacityDelegationAuthSig,
+        remainingUses: CAPACITY_DELEGATION_USES,
+        expiresAt,
+    };
+    // Session sigs embed the delegation, so they go with it
+    state.sessions.clear();
+    return state.capacityDelegation;
+};
+
+const getSessionSigs = async (litNodeClient, chain, capacityDelegation) => {
+    const cached = state.sessions.get(chain);
+    if (cached && cached.capacityDelegation === capacityDelegation && isFresh(cached.expiresAt)) {
+        return cached.sessionSigs;
+    }
+
+    console.log(`🔄 Generating session sigs for ${chain}...`);
+    const expiresAt = Math.min(Date.now() + SESSION_TTL_MS, capacityDelegation.expiresAt);
+    const sessionSigs = await litNodeClient.getSessionSigs({
+        chain,
+        capabilityAuthSigs: [capacityDelegation.authSig],
+        expiration: new Date(expiresAt).toISOString(),
+        resourceAbilityRequests: [
+            {
+                resource: new LitPKPResource("*"),
+                ability: LIT_ABILITY.PKPSigning,
+            },
+            {
+                resource: new LitActionResource("*"),
+                ability: LIT_ABILITY.LitActionExecution,
+            },
+        ],
+        authNeededCallback: async ({ resourceAbilityRequests, expiration, uri }) => {
+            const toSign = await createSiweMessageWithRecaps({
+                uri: uri,
+                expiration: expiration,
+                resources: resourceAbilityRequests,
+                walletAddress: ownerWallet.address,
+                nonce: await litNodeClient.getLatestBlockhash(),
+                litNodeClient,
+            });
+            return await generateAuthSig({
+                signer: ownerWallet,
+                toSign,
+            });
+        },
+    });
+    console.log("✅ Session sigs ready");
+
+    state.sessions.set(chain, { sessionSigs, expiresAt, capacityDelegation });
+    return sessionSigs;
+};
+
+// Run a pinned Lit Action by IPFS CID with the pooled client, reconnecting once if the network dropped
+export const executeLitAction = async ({ chain, ipfsId, jsParams }) => {
+    for (let attempt = 1; ; attempt++) {
+        const litNodeClient = await getLitNodeClient();
+        try {
+            const capacityDelegation = await getCapacityDelegation(litNodeClient);
+            const sessionSigs = await getSessionSigs(litNodeClient, chain, capacityDelegation);
+            capacityDelegation.remainingUses -= 1;
+            recordCapacityUse(capacityDelegation.capacityTokenId);
+
+            console.log("🔄 Executing Lit Action...");
+            const result = await litNodeClient.executeJs({ sessionSigs, ipfsId, jsParams });
+            console.log("✅ Lit Action executed successfully");
+            return result;
+        } catch (error) {
+            if (attempt >= 2 || !isConnectionError(error)) {
+                throw error;
+            }
+            console.log("⚠️  Lit request failed, reconnecting and retrying...");
+            await getLitNodeClient(true);
+        }
+    }
+};
+
+// Connect and prepare session sigs ahead of the first request
+export const warmUpLitSession = async (chain) => {
+    const litNodeClient = await getLitNodeClient();
+    if (chain) {
+        await getSessionSigs(litNodeClient, chain, await getCapacityDelegation(litNodeClient));
+    }
+};
+
+export const getLitSessionStatus = () => ({
+    connected: Boolean(state.litNodeClient && state.litNodeClient.ready),
+    capacityDelegation: state.capacityDelegation && {
+        capacityTokenId: state.capacityDelegation.capacityTokenId,
+        remainingUses: state.capacityDelegation.remainingUses,
+        expiresAt: new Date(state.capacityDelegation.expiresAt).toISOString(),
+    },
+    sessions: [...state.sessions.entries()].map(([chain, session]) => ({
+        chain,
+        expiresAt: new Date(session.expiresAt).toISOString(),
+    })),
+});
+
+export const shutdownLitSession = async () => {
+    if (state.healthCheck) {
+        clearInterval(state.healthCheck);
+        state.healthCheck = null;
+    }
+    resetSessions();
+    if (state.litNodeClient) {
+        await state.litNodeClient.disconnect();
+        state.litNodeClient = null;
+        console.log("✅ Disconnected from Lit network");
+    }
+};
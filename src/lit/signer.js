@@ -0,0 +1,147 @@
+import * as ethers from "ethers";
+import { executeLitAction } from "./session.js";
+import { getPkpActionCid } from "./pinnedAction.js";
+import { resolvePkp } from "./pkps.js";
+import { assertMessageAllowed } from "../policy/index.js";
+import { ApiError } from "../errors.js";
+
+// Send errors that mean the nonce was already used rather than an upstream failure
+const NONCE_ERROR_CODES = ["NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED", "TRANSACTION_REPLACED"];
+
+// Normalise the Lit Action response (the SDK parses JSON responses, but not always)
+export const parseLitActionResponse = (result) => {
+    const response = typeof result.response === "string"
+        ? JSON.parse(result.response)
+        : result.response;
+
+    if (!response || typeof response !== "object") {
+        throw new ApiError('Lit Action returned an unexpected response', 502, "INVALID_ACTION_RESPONSE");
+    }
+    return response;
+};
+
+// Have the PKP sign an unsigned transaction in the Lit Action and broadcast it
+export const signAndSendTransaction = async ({ chain, pkpInfo, unsignedTransaction, clientId = null }) => {
+    const unsignedTransactionHash = ethers.utils.keccak256(
+        ethers.utils.serializeTransaction(unsignedTransaction)
+    );
+
+    const result = await executeLitAction({
+        chain,
+        ipfsId: await getPkpActionCid(pkpInfo),
+        jsParams: {
+            mode: "transaction",
+            toSign: ethers.utils.arrayify(unsignedTransactionHash),
+            publicKey: pkpInfo.publicKey,
+            sigName: "signedTransaction",
+            chain,
+            unsignedTransaction,
+            clientId,
+        },
+    });
+
+    const { txHash, signedTransaction, recoveredAddress, errorCode, errorMessage } = parseLitActionResponse(result);
+    const details = { txHash, signedTransaction, recoveredAddress, nonce: unsignedTransaction.nonce };
+
+    if (recoveredAddress && recoveredAddress.toLowerCase() !== pkpInfo.ethAddress.toLowerCase()) {
+        throw new ApiError('Recovered signer does not match the PKP address', 502, "SIGNER_MISMATCH", details);
+    }
+
+    if (errorCode) {
+        if (errorCode === "POLICY_VIOLATION") {
+            throw new ApiError(errorMessage, 403, errorCode, { clientId, to: unsignedTransaction.to });
+        }
+        throw new ApiError(
+            `Failed to send transaction: ${errorMessage}`,
+            NONCE_ERROR_CODES.includes(errorCode) ? 409 : 502,
+            errorCode,
+            details
+        );
+    }
+
+    return details;
+};
+
+// Sign several transactions in a single Lit Action execution; nothing is broadcast
+export const signTransactions = async ({ chain, pkpInfo, unsignedTransactions, clientId = null }) => {
+    const result = await executeLitAction({
+        chain,
+        ipfsId: await getPkpActionCid(pkpInfo),
+        jsParams: {
+            mode: "batch",
+            publicKey: pkpInfo.publicKey,
+            clientId,
+            transactions: unsignedTransactions.map((unsignedTransaction) => ({
+                unsignedTransaction,
+                toSign: ethers.utils.arrayify(
+                    ethers.utils.keccak256(ethers.utils.serializeTransaction(unsignedTransaction))
+                ),
+            })),
+        },
+    });
+
+    const { signed } = parseLitActionResponse(result);
+    return signed.map((entry, i) => {
+        if (entry.errorCode) {
+            return entry;
+        }
+        if (entry.recoveredAddress.toLowerCase() !== pkpInfo.ethAddress.toLowerCase()) {
+            return { errorCode: "SIGNER_MISMATCH", errorMessage: 'Recovered signer does not match the PKP address' };
+        }
+        return { ...entry, nonce: unsignedTransactions[i].nonce };
+    });
+};
+
+const signHash = async ({ chain, pkp, clientId, hash, jsParams }) => {
+    const pkpInfo = await resolvePkp(pkp, { clientId });
+    const result = await executeLitAction({
+        chain,
+        ipfsId: await getPkpActionCid(pkpInfo),
+        jsParams: {
+            mode: "message",
+            ...jsParams,
+            toSign: ethers.utils.arrayify(hash),
+            publicKey: pkpInfo.publicKey,
+            clientId,
+        },
+    });
+
+    const { signature, recoveredAddress, errorCode, errorMessage } = parseLitActionResponse(result);
+    if (errorCode) {
+        throw new ApiError(errorMessage, errorCode === "POLICY_VIOLATION" ? 403 : 502, errorCode, { clientId });
+    }
+    if (recoveredAddress.toLowerCase() !== pkpInfo.ethAddress.toLowerCase()) {
+        throw new ApiError('Recovered signer does not match the PKP address', 502, "SIGNER_MISMATCH", { signature, recoveredAddress });
+    }
+    return { signature, recoveredAddress, hash, from: pkpInfo.ethAddress };
+};
+
+// EIP-191 personal_sign; encoding "hex" signs the bytes instead of the UTF-8 text
+export const signPersonalMessage = async ({ chain, pkp, clientId = null, message, encoding = "utf8" }) => {
+    assertMessageAllowed(clientId, { kind: "message" });
+    const hash = ethers.utils.hashMessage(encoding === "hex" ? ethers.utils.arrayify(message) : message);
+    return signHash({ chain, pkp, clientId, hash, jsParams: { kind: "message", message, encoding } });
+};
+
+// EIP-712 typed data; EIP712Domain is derived from the domain, so it is dropped from types
+export const signTypedData = async ({ chain, pkp, clientId = null, domain, types, value }) => {
+    const { EIP712Domain, ...messageTypes } = types;
+    let primaryType;
+    let hash;
+    try {
+        primaryType = ethers.utils._TypedDataEncoder.getPrimaryType(messageTypes);
+        hash = ethers.utils._TypedDataEncoder.hash(domain, messageTypes, value);
+    } catch (error) {
+        throw new ApiError(`Invalid typed data: ${error.reason || error.message}`, 400, "INVALID_TYPED_DATA");
+    }
+    assertMessageAllowed(clientId, { kind: "typedData", domain, primaryType, value });
+
+    const signed = await signHash({
+        chain,
+        pkp,
+        clientId,
+        hash,
+        jsParams: { kind: "typedData", typedData: { domain, types: messageTypes, value } },
+    });
+    return { ...signed, primaryType };
+};
@@ -0,0 +1,142 @@
+import * as ethers from "ethers";
+import { getEnv, getProvider } from "./utils.js";
+import { signAndSendTransaction } from "./signer.js";
+import { getFeeData, toTransactionFeeFields } from "./fees.js";
+import { markNonceBroadcast } from "./nonce.js";
+import { ensurePkpFunded, getTransactionCost } from "./funding.js";
+import { resolvePkp } from "./pkps.js";
+import { assertTransactionAllowed } from "../policy/index.js";
+import { DATA_RETENTION_MS, createStore } from "../store/index.js";
+import { ApiError } from "../errors.js";
+
+// Record of every transaction the PKP has broadcast, keyed by hash, so stuck
+// transactions can be replaced (same nonce, higher fees) later on.
+
+// Nodes reject replacements that don't raise fees by at least 10%
+const REPLACEMENT_FEE_BUMP_PERCENT = Number(getEnv("REPLACEMENT_FEE_BUMP_PERCENT") || 12.5);
+
+// Settled transactions are pruned after DATA_RETENTION_DAYS; pending ones are kept so they can still be replaced
+const transactions = createStore("transactions", {
+    retention: { maxAgeMs: DATA_RETENTION_MS, canPrune: (record) => record.status !== "pending" },
+});
+
+const normalizeHash = (txHash) => txHash.toLowerCase();
+
+export const recordTransaction = (record) => {
+    const now = new Date().toISOString();
+    return transactions.set(normalizeHash(record.txHash), {
+        status: "pending",
+        replacedBy: null,
+        replaces: null,
+        ...record,
+        createdAt: now,
+        updatedAt: now,
+    });
+};
+
+export const getTransactionRecord = (txHash) => transactions.get(normalizeHash(txHash));
+
+export const updateTransactionRecord = (txHash, patch) =>
+    transactions.update(normalizeHash(txHash), patch);
+
+export const listTransactionRecords = (filter) => transactions.list(filter);
+
+const bump = (value) =>
+    ethers.BigNumber.from(value).mul(Math.round((100 + REPLACEMENT_FEE_BUMP_PERCENT) * 100)).div(10000);
+
+const max = (a, b) => (a.gt(b) ? a : b);
+
+// Fees for a replacement: at least the bumped original, or the market if higher
+const getReplacementFees = async (provider, chain, original, fees) => {
+    const market = await getFeeData(provider, chain, fees);
+    if (original.type === 2) {
+        const marketMaxFee = market.type === 2 ? market.maxFeePerGas : market.gasPrice;
+        const marketPriorityFee = market.type === 2 ? market.maxPriorityFeePerGas : market.gasPrice;
+        const maxPriorityFeePerGas = max(bump(original.maxPriorityFeePerGas), marketPriorityFee);
+        const maxFeePerGas = max(max(bump(original.maxFeePerGas), marketMaxFee), maxPriorityFeePerGas);
+        return toTransactionFeeFields({ type: 2, maxFeePerGas, maxPriorityFeePerGas });
+    }
+
+    const marketGasPrice = market.type === 2 ? market.maxFeePerGas : market.gasPrice;
+    return toTransactionFeeFields({ type: 0, gasPrice: max(bump(original.gasPrice), marketGasPrice) });
+};
+
+// Re-sign a pending transaction with the same nonce: "speed-up" resends it with
+// higher fees, "cancel" replaces it with a zero-value self-transfer
+export const replaceTransaction = async (txHash, mode, { fees, clientId = null, beforeSign = () => {} } = {}) => {
+    const record = getTransactionRecord(txHash);
+    // Clients can only touch their own transactions
+    if (!record || (clientId && record.clientId && record.clientId !== clientId)) {
+        throw new ApiError('Transaction was not sent by this server', 404, "TRANSACTION_NOT_FOUND");
+    }
+    if (record.replacedBy) {
+        throw new ApiError(
+            `Transaction was already replaced by ${record.replacedBy}`,
+            409,
+            "ALREADY_REPLACED",
+            { replacedBy: record.replacedBy }
+        );
+    }
+
+    const { chain, from, nonce, unsignedTransaction: original } = record;
+    const provider = getProvider(chain);
+
+    const receipt = await provider.getTransactionReceipt(record.txHash);
+    if (receipt) {
+        updateTransactionRecord(record.txHash, { status: receipt.status === 1 ? "confirmed" : "reverted" });
+        throw new ApiError('Transaction is already mined', 409, "ALREADY_MINED", { blockNumber: receipt.blockNumber });
+    }
+    const minedCount = await provider.getTransactionCount(from, "latest");
+    if (minedCount > nonce) {
+        throw new ApiError('Nonce was already used by another transaction', 409, "NONCE_USED");
+    }
+    // The stored PKP record carries the client and token id its pinned action is checked against
+    const pkpInfo = await resolvePkp(from, { clientId: record.clientId, mint: false });
+
+    const base = mode === "cancel"
+        ? { to: from, data: "0x", value: "0x0", gasLimit: ethers.BigNumber.from(21000).toHexString() }
+        : { to: original.to, data: original.data, value: original.value, gasLimit: original.gasLimit };
+
+    const unsignedTransaction = {
+        ...base,
+        ...(await getReplacementFees(provider, chain, original, fees)),
+        nonce,
+        chainId: original.chainId,
+    };
+    // Policies can change while a transaction is pending
+    assertTransactionAllowed(record.clientId, unsignedTransaction, from);
+    const undoBeforeSign = (await beforeSign(unsignedTransaction)) || (() => {});
+
+    let sent;
+    try {
+        await ensurePkpFunded(chain, from, getTransactionCost(unsignedTransaction));
+
+        console.log(`🔄 Sending ${mode} replacement for ${record.txHash} (nonce ${nonce})...`);
+        sent = await signAndSendTransaction({
+            chain,
+            pkpInfo,
+            unsignedTransaction,
+            clientId: record.clientId,
+        });
+    } catch (error) {
+        undoBeforeSign();
+        throw error;
+    }
+    markNonceBroadcast(chain, from, nonce, sent.txHash);
+    console.log(`✅ Replacement sent: ${sent.txHash}`);
+
+    const replacement = recordTransaction({
+        ...sent,
+        chain,
+        from,
+        publicKey: record.publicKey,
+        kind: mode,
+        clientId: record.clientId,
+        unsignedTransaction,
+        replaces: record.txHash,
+        metadata: record.metadata,
+    });
+    updateTransactionRecord(record.txHash, { status: "replaced", replacedBy: sent.txHash });
+
+    return replacement;
+};
@@ -0,0 +1,149 @@
+import * as ethers from "ethers";
+import { getProvider } from "./utils.js";
+import { resolvePkp } from "./pkps.js";
+import { signAndExecuteTransaction, signAndExecuteContractTx } from "./index.js";
+import {
+    ERC20_ABI,
+    ERC721_ABI,
+    ERC1155_ABI,
+    getErc20Info,
+    getErc20Balance,
+    getErc721Owner,
+    getErc1155Balance,
+} from "../contracts/tokens.js";
+import { ApiError } from "../errors.js";
+
+// Native and token transfers from a PKP. Each one checks the PKP holds enough
+// before anything is built, so a transfer that can't succeed never reaches the Lit nodes.
+
+const parseAmount = (amount, decimals) => {
+    try {
+        const units = ethers.utils.parseUnits(String(amount), decimals);
+        if (units.lte(0)) {
+            throw new Error("not positive");
+        }
+        return units;
+    } catch (error) {
+        throw new ApiError(`amount must be a positive decimal with at most ${decimals} decimals`, 400, "INVALID_AMOUNT", { amount });
+    }
+};
+
+const insufficientBalance = (message, details) => new ApiError(message, 422, "INSUFFICIENT_BALANCE", details);
+
+// options: { chain, pkp, clientId, waitForConfirmations, fees, beforeSign }
+export const transferNative = async ({ to, amount }, options) => {
+    const value = parseAmount(amount, 18);
+    const pkpInfo = await resolvePkp(options.pkp, { clientId: options.clientId });
+
+    const balance = await getProvider(options.chain).getBalance(pkpInfo.ethAddress);
+    if (balance.lt(value)) {
+        throw insufficientBalance("PKP balance is too low for this transfer", {
+            chain: options.chain,
+            balance: ethers.utils.formatEther(balance),
+            amount: ethers.utils.formatEther(value),
+        });
+    }
+
+    console.log(`🔄 Transferring ${ethers.utils.formatEther(value)} native to ${to} on ${options.chain}...`);
+    const result = await signAndExecuteTransaction(
+        { to, value, kind: "transfer-native", metadata: { to, amount: value.toString() } },
+        { ...options, pkp: pkpInfo.ethAddress }
+    );
+    return { ...result, transfer: { type: "native", to, amount: ethers.utils.formatEther(value) } };
+};
+
+export const transferErc20 = async ({ token, to, amount }, options) => {
+    const provider = getProvider(options.chain);
+    const pkpInfo = await resolvePkp(options.pkp, { clientId: options.clientId });
+
+    let info;
+    try {
+        info = await getErc20Info(provider, token);
+    } catch (error) {
+        throw new ApiError(`Could not read decimals of ${token}; is it an ERC-20 on ${options.chain}?`, 422, "INVALID_TOKEN", { token });
+    }
+    const units = parseAmount(amount, info.decimals);
+
+    const balance = await getErc20Balance(provider, token, pkpInfo.ethAddress);
+    if (balance.lt(units)) {
+        throw insufficientBalance(`PKP ${info.symbol || "token"} balance is too low for this transfer`, {
+            chain: options.chain,
+            token,
+            balance: ethers.utils.formatUnits(balance, info.decimals),
+            amount: ethers.utils.formatUnits(units, info.decimals),
+        });
+    }
+
+    console.log(`🔄 Transferring ${ethers.utils.formatUnits(units, info.decimals)} ${info.symbol || token} to ${to}...`);
+    const result = await signAndExecuteContractTx(token, ERC20_ABI, "transfer", [to, units.toString()], "0", {
+        ...options,
+        pkp: pkpInfo.ethAddress,
+    });
+    return {
+        ...result,
+        transfer: {
+            type: "erc20",
+            token,
+            symbol: info.symbol,
+            decimals: info.decimals,
+            to,
+            amount: ethers.utils.formatUnits(units, info.decimals),
+            units: units.toString(),
+        },
+    };
+};
+
+export const transferErc721 = async ({ token, to, tokenId }, options) => {
+    const pkpInfo = await resolvePkp(options.pkp, { clientId: options.clientId });
+
+    let owner;
+    try {
+        owner = await getErc721Owner(getProvider(options.chain), token, tokenId);
+    } catch (error) {
+        throw new ApiError(`Could not read the owner of token ${tokenId} on ${token}`, 422, "INVALID_TOKEN", { token, tokenId });
+    }
+    if (owner.toLowerCase() !== pkpInfo.ethAddress.toLowerCase()) {
+        throw insufficientBalance(`PKP does not own token ${tokenId}`, { chain: options.chain, token, tokenId, owner });
+    }
+
+    const result = await signAndExecuteContractTx(
+        token,
+        ERC721_ABI,
+        "safeTransferFrom(address,address,uint256)",
+        [pkpInfo.ethAddress, to, tokenId],
+        "0",
+        { ...options, pkp: pkpInfo.ethAddress }
+    );
+    return { ...result, transfer: { type: "erc721", token, to, tokenId } };
+};
+
+export const transferErc1155 = async ({ token, to, tokenId, amount = "1", data = "0x" }, options) => {
+    const units = parseAmount(amount, 0);
+    const pkpInfo = await resolvePkp(options.pkp, { clientId: options.clientId });
+
+    let balance;
+    try {
+        balance = await getErc1155Balance(getProvider(options.chain), token, pkpInfo.ethAddress, tokenId);
+    } catch (error) {
+        throw new ApiError(`Could not read the balance of token ${tokenId} on ${token}`, 422, "INVALID_TOKEN", { token, tokenId });
+    }
+    if (balance.lt(units)) {
+        throw insufficientBalance(`PKP balance of token ${tokenId} is too low for this transfer`, {
+            chain: options.chain,
+            token,
+            tokenId,
+            balance: balance.toString(),
+            amount: units.toString(),
+        });
+    }
+
+    const result = await signAndExecuteContractTx(
+        token,
+        ERC1155_ABI,
+        "safeTransferFrom",
+        [pkpInfo.ethAddress, to, tokenId, units.toString(), data],
+        "0",
+        { ...options, pkp: pkpInfo.ethAddress }
+    );
+    return { ...result, transfer: { type: "erc1155", token, to, tokenId, amount: units.toString() } };
+};
@@ -1,4 +1,6 @@
+import * as ethers from "ethers";
 import { LIT_CHAINS } from "@lit-protocol/constants";
+const providers = new Map();
 export const getEnv = (name) => {
     const env = process.env[name];
     if (name === "ETHEREUM_PRIVATE_KEY" && (env === undefined || env === "")) {
@@ -17,5 +19,23 @@ export const getChainInfo = (chain) => {
     return {
         rpcUrl: LIT_CHAINS[chain].rpcUrls[0],
         chainId: LIT_CHAINS[chain].chainId,
+        symbol: LIT_CHAINS[chain].symbol,
     };
 };
+// Chains requests may target: ALLOWED_CHAINS (comma separated), defaulting to CHAIN_TO_SEND_TX_ON
+export const getAllowedChains = () => {
+    const allowed = getEnv("ALLOWED_CHAINS") || getEnv("CHAIN_TO_SEND_TX_ON");
+    return allowed
+        .split(",")
+        .map((chain) => chain.trim())
+        .filter((chain) => chain !== "" && LIT_CHAINS[chain] !== undefined);
+};
+export const isAllowedChain = (chain) => getAllowedChains().includes(chain);
+// One JSON-RPC provider per chain, shared across requests
+export const getProvider = (chain) => {
+    if (!providers.has(chain)) {
+        const { rpcUrl, chainId } = getChainInfo(chain);
+        providers.set(chain, new ethers.providers.StaticJsonRpcProvider(rpcUrl, chainId));
+    }
+    return providers.get(chain);
+};
@@ -0,0 +1,56 @@
+import express from 'express';
+import { getPkpBalances, listPkps, mintPkp, validatePkpLabel } from '../lit/pkps.js';
+import { requireApiClient } from '../auth/index.js';
+
+const router = express.Router();
+
+router.use(requireApiClient);
+
+// PKPs this client can sign with, with their native balance on every allowed chain
+router.get('/', async (req, res) => {
+  try {
+    const records = listPkps(req.apiClient.id);
+    const data = await Promise.all(records.map(async (record) => ({
+      label: record.label,
+      publicKey: record.publicKey,
+      ethAddress: record.ethAddress,
+      tokenId: record.tokenId,
+      actionCid: record.actionCid || null,
+      source: record.source,
+      createdAt: record.createdAt,
+      balances: await getPkpBalances(record.ethAddress)
+    })));
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+// Mint a new PKP and save it under a label
+router.post('/', async (req, res) => {
+  const { label } = req.body;
+  const labelError = validatePkpLabel(label);
+  if (labelError) {
+    return res.status(400).json({
+      success: false,
+      error: labelError,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const record = await mintPkp({ label, clientId: req.apiClient.id });
+    res.status(201).json({ success: true, data: record, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('PKP Mint Error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+      code: error.code,
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,322 @@
+import fs from 'fs';
+import path from 'path';
+import * as ethers from 'ethers';
+import { ApiError } from '../errors.js';
+
+// Signing policy: which contracts, functions, argument ranges and native value
+// each API client may use. Loaded from POLICY_FILE (default config/policy.json)
+// and reloaded when the file changes. Without a valid policy file nothing is signed,
+// unless POLICY_DISABLED=true explicitly turns the checks off.
+//
+// The same rules are embedded in the pinned Lit Action (see src/lit/pinnedAction.js),
+// so the Lit nodes refuse to sign anything the policy doesn't allow.
+
+const POLICY_FILE = path.resolve(process.env.POLICY_FILE || 'config/policy.json');
+const POLICY_RELOAD_INTERVAL_MS = Number(process.env.POLICY_RELOAD_INTERVAL_MS || 2000);
+const POLICY_DISABLED = process.env.POLICY_DISABLED === 'true';
+
+// Stands in for the policy file when checks are switched off
+const UNRESTRICTED_POLICY = { unrestricted: true, clients: {} };
+
+let policy = null;
+let loadedAt = null;
+let lastError = null;
+let checked = false;
+
+const SELECTOR_PATTERN = /^0x[0-9a-fA-F]{8}$/;
+
+const parseValueLimit = (value, where) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  try {
+    return ethers.utils.parseEther(String(value)).toString();
+  } catch (error) {
+    throw new Error(`${where}.maxValue must be a decimal amount in native units`);
+  }
+};
+
+const normalizeArgRule = (rule, where) => {
+  if (rule === null || rule === undefined) {
+    return null;
+  }
+  const normalized = {};
+  for (const bound of ['min', 'max']) {
+    if (rule[bound] !== undefined) {
+      try {
+        normalized[bound] = ethers.BigNumber.from(String(rule[bound])).toString();
+      } catch (error) {
+        throw new Error(`${where}.${bound} must be an integer`);
+      }
+    }
+  }
+  if (rule.oneOf !== undefined) {
+    if (!Array.isArray(rule.oneOf)) {
+      throw new Error(`${where}.oneOf must be an array`);
+    }
+    normalized.oneOf = rule.oneOf.map((value) => String(value).toLowerCase());
+  }
+  return normalized;
+};
+
+const normalizeFunctionRule = (rule, where) => {
+  if (typeof rule === 'string') {
+    rule = SELECTOR_PATTERN.test(rule) ? { selector: rule } : { signature: rule };
+  }
+
+  let signature = null;
+  let selector = rule.selector;
+  if (rule.signature) {
+    try {
+      const fragment = ethers.utils.FunctionFragment.from(rule.signature);
+      signature = fragment.format();
+      selector = ethers.utils.Interface.getSighash(fragment);
+    } catch (error) {
+      throw new Error(`${where}.signature is not a valid function signature: ${rule.signature}`);
+    }
+  }
+  if (!selector || !SELECTOR_PATTERN.test(selector)) {
+    throw new Error(`${where} needs a signature or a 4-byte selector`);
+  }
+  if (rule.args && !signature) {
+    throw new Error(`${where}.args needs a signature to decode the arguments`);
+  }
+
+  return {
+    selector: selector.toLowerCase(),
+    signature,
+    args: rule.args ? rule.args.map((arg, i) => normalizeArgRule(arg, `${where}.args[${i}]`)) : null
+  };
+};
+
+const normalizeTypedDataRule = (rule, where) => {
+  if (typeof rule === 'string') {
+    rule = { primaryType: rule };
+  }
+  if (!rule.primaryType || typeof rule.primaryType !== 'string') {
+    throw new Error(`${where}.primaryType is required`);
+  }
+  const fields = {};
+  for (const [field, fieldRule] of Object.entries(rule.fields || {})) {
+    fields[field] = normalizeArgRule(fieldRule, `${where}.fields.${field}`);
+  }
+  return { primaryType: rule.primaryType, fields };
+};
+
+const normalizeClientRules = (rules, where) => ({
+  maxValue: parseValueLimit(rules.maxValue, where),
+  // EIP-191 personal messages are opt-in
+  personalSign: rules.personalSign === true,
+  // So is deploying contracts (transactions without a `to`)
+  deploy: rules.deploy === true,
+  contracts: (rules.contracts || []).map((contract, i) => {
+    const contractWhere = `${where}.contracts[${i}]`;
+    if (!ethers.utils.isAddress(contract.address || '')) {
+      throw new Error(`${contractWhere}.address is not a valid address`);
+    }
+    return {
+      address: contract.address.toLowerCase(),
+      maxValue: parseValueLimit(contract.maxValue, contractWhere),
+      // No function list means any function on the contract
+      functions: contract.functions
+        ? contract.functions.map((rule, j) => normalizeFunctionRule(rule, `${contractWhere}.functions[${j}]`))
+        : null,
+      // EIP-712 messages with this contract as verifyingContract; none unless listed
+      typedData: (contract.typedData || []).map((rule, j) => normalizeTypedDataRule(rule, `${contractWhere}.typedData[${j}]`))
+    };
+  })
+});
+
+// Validate a policy document and convert it to the form checkTransactionPolicy expects
+export const normalizePolicy = (document) => {
+  if (!document || typeof document.clients !== 'object') {
+    throw new Error('Policy must have a "clients" object');
+  }
+  const clients = {};
+  for (const [clientId, rules] of Object.entries(document.clients)) {
+    clients[clientId] = normalizeClientRules(rules, `clients.${clientId}`);
+  }
+  return { clients };
+};
+
+// The checks below are shared with the Lit Action, so they may only use their
+// arguments, the ethers global and each other. They return a reason string when
+// something is not allowed, or null. A missing policy allows nothing.
+
+// min/max/oneOf bounds on one decoded argument or typed data field
+export const checkValueRule = (rule, value, label) => {
+  if (rule.min !== undefined || rule.max !== undefined) {
+    let amount;
+    try {
+      amount = ethers.BigNumber.from(value);
+    } catch (error) {
+      return `${label} is not numeric`;
+    }
+    if (rule.min !== undefined && amount.lt(rule.min)) {
+      return `${label} is below the minimum of ${rule.min}`;
+    }
+    if (rule.max !== undefined && amount.gt(rule.max)) {
+      return `${label} is above the maximum of ${rule.max}`;
+    }
+  }
+  if (rule.oneOf && !rule.oneOf.includes(String(value).toLowerCase())) {
+    return `${label} is not one of the allowed values`;
+  }
+  return null;
+};
+
+export const checkTransactionPolicy = (policy, clientId, transaction, from) => {
+  if (!policy) {
+    return 'No signing policy is loaded';
+  }
+  if (policy.unrestricted) {
+    return null;
+  }
+  const rules = policy.clients[clientId] || policy.clients['*'];
+  if (!rules) {
+    return `Client ${clientId} has no signing policy`;
+  }
+
+  const to = (transaction.to || '').toLowerCase();
+  const data = (transaction.data || '0x').toLowerCase();
+  const value = ethers.BigNumber.from(transaction.value || 0);
+
+  // Cancelling a stuck transaction is a zero value self-transfer
+  if (from && to === from.toLowerCase() && data === '0x' && value.isZero()) {
+    return null;
+  }
+
+  if (rules.maxValue !== null && value.gt(rules.maxValue)) {
+    return `Value exceeds the limit of ${ethers.utils.formatEther(rules.maxValue)} for client ${clientId}`;
+  }
+
+  if (!to) {
+    return rules.deploy ? null : `Client ${clientId} may not deploy contracts`;
+  }
+
+  const contract = rules.contracts.find((candidate) => candidate.address === to);
+  if (!contract) {
+    return `Contract ${transaction.to} is not allowed for client ${clientId}`;
+  }
+  if (contract.maxValue !== null && value.gt(contract.maxValue)) {
+    return `Value exceeds the limit of ${ethers.utils.formatEther(contract.maxValue)} for ${transaction.to}`;
+  }
+  if (!contract.functions) {
+    return null;
+  }
+
+  const selector = data.slice(0, 10);
+  const fn = contract.functions.find((candidate) => candidate.selector === selector);
+  if (!fn) {
+    return `Function ${selector} is not allowed on ${transaction.to}`;
+  }
+  if (!fn.args) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    const iface = new ethers.utils.Interface([`function ${fn.signature}`]);
+    decoded = iface.decodeFunctionData(iface.fragments[0], data);
+  } catch (error) {
+    return `Calldata does not match ${fn.signature}`;
+  }
+
+  for (let i = 0; i < fn.args.length; i++) {
+    const reason = fn.args[i] && checkValueRule(fn.args[i], decoded[i], `Argument ${i} of ${fn.signature}`);
+    if (reason) {
+      return reason;
+    }
+  }
+  return null;
+};
+
+// request: { kind: 'message' } or { kind: 'typedData', domain, primaryType, value }
+export const checkMessagePolicy = (policy, clientId, request) => {
+  if (!policy) {
+    return 'No signing policy is loaded';
+  }
+  if (policy.unrestricted) {
+    return null;
+  }
+  const rules = policy.clients[clientId] || policy.clients['*'];
+  if (!rules) {
+    return `Client ${clientId} has no signing policy`;
+  }
+
+  if (request.kind === 'message') {
+    return rules.personalSign ? null : `Client ${clientId} may not sign personal messages`;
+  }
+
+  const verifyingContract = String(request.domain.verifyingContract || '').toLowerCase();
+  const contract = rules.contracts.find((candidate) => candidate.address === verifyingContract);
+  if (!contract) {
+    return `Typed data for verifyingContract ${request.domain.verifyingContract || '(none)'} is not allowed for client ${clientId}`;
+  }
+  const rule = contract.typedData.find((candidate) => candidate.primaryType === request.primaryType);
+  if (!rule) {
+    return `Typed data ${request.primaryType} is not allowed on ${request.domain.verifyingContract}`;
+  }
+  for (const [field, fieldRule] of Object.entries(rule.fields)) {
+    const reason = fieldRule && checkValueRule(fieldRule, request.value[field], `Field ${field} of ${request.primaryType}`);
+    if (reason) {
+      return reason;
+    }
+  }
+  return null;
+};
+
+const loadPolicy = () => {
+  if (!fs.existsSync(POLICY_FILE)) {
+    const next = POLICY_DISABLED ? UNRESTRICTED_POLICY : null;
+    // watchFile also reports a file that is still missing
+    if (!checked || next !== policy || loadedAt) {
+      console.log(POLICY_DISABLED
+        ? '⚠️  POLICY_DISABLED=true and no policy file: signing is not restricted'
+        : `⚠️  No policy file at ${POLICY_FILE}: nothing will be signed until one is added`);
+    }
+    policy = next;
+    loadedAt = null;
+    checked = true;
+    return;
+  }
+  try {
+    policy = normalizePolicy(JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8')));
+    loadedAt = new Date().toISOString();
+    lastError = null;
+    console.log(`✅ Signing policy loaded for ${Object.keys(policy.clients).length} client(s)`);
+  } catch (error) {
+    // Keep enforcing the last good policy rather than opening up on a typo
+    lastError = error.message;
+    console.error(`Invalid policy file ${POLICY_FILE}, keeping the previous policy:`, error.message);
+  }
+};
+
+loadPolicy();
+fs.watchFile(POLICY_FILE, { interval: POLICY_RELOAD_INTERVAL_MS }, loadPolicy).unref();
+
+export const getPolicy = () => policy;
+
+// enforced: rules from the policy file; disabled: POLICY_DISABLED without a file; missing: nothing is signed
+export const getPolicyStatus = () => ({
+  mode: !policy ? 'missing' : policy.unrestricted ? 'disabled' : 'enforced',
+  clients: policy ? Object.keys(policy.clients).length : 0,
+  loadedAt,
+  lastError
+});
+
+// Throw 403 if the client may not sign this message
+export const assertMessageAllowed = (clientId, request) => {
+  const reason = checkMessagePolicy(policy, clientId, request);
+  if (reason) {
+    throw new ApiError(reason, 403, 'POLICY_VIOLATION', { clientId, kind: request.kind });
+  }
+};
+
+// Throw 403 if the client may not send this transaction
+export const assertTransactionAllowed = (clientId, transaction, from) => {
+  const reason = checkTransactionPolicy(policy, clientId, transaction, from);
+  if (reason) {
+    throw new ApiError(reason, 403, 'POLICY_VIOLATION', { clientId, to: transaction.to });
+  }
+};
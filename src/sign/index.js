@@ -0,0 +1,91 @@
+import express from 'express';
+import * as ethers from 'ethers';
+import { signPersonalMessage, signTypedData } from '../lit/signer.js';
+import { getAllowedChains, isAllowedChain } from '../lit/utils.js';
+import { requireApiClient } from '../auth/index.js';
+
+const router = express.Router();
+
+router.use(requireApiClient);
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error,
+  timestamp: new Date().toISOString()
+});
+
+const sendError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || 'Internal server error',
+    code: error.code,
+    details: error.details,
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Chain whose Lit session signs the message, and the optional PKP selector
+const validateSigner = (req, res, next) => {
+  const { chain = process.env.CHAIN_TO_SEND_TX_ON, pkp } = req.body;
+  if (typeof chain !== 'string' || !isAllowedChain(chain)) {
+    return badRequest(res, `Unsupported chain. Allowed chains: ${getAllowedChains().join(', ') || 'none'}`);
+  }
+  if (pkp !== undefined && (typeof pkp !== 'string' || !pkp)) {
+    return badRequest(res, 'pkp must be a PKP label, ethAddress or public key');
+  }
+  req.signer = { chain, pkp };
+  next();
+};
+
+// EIP-191 personal_sign
+router.post('/message', validateSigner, async (req, res) => {
+  const { message, encoding = 'utf8' } = req.body;
+  if (!['utf8', 'hex'].includes(encoding)) {
+    return badRequest(res, 'encoding must be utf8 or hex');
+  }
+  if (typeof message !== 'string' || (encoding === 'hex' && !ethers.utils.isHexString(message))) {
+    return badRequest(res, encoding === 'hex' ? 'message must be a 0x-prefixed hex string' : 'message must be a string');
+  }
+
+  try {
+    const result = await signPersonalMessage({
+      chain: req.signer.chain,
+      pkp: req.signer.pkp,
+      clientId: req.apiClient.id,
+      message,
+      encoding
+    });
+    res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Message Signing Error:', error);
+    sendError(res, error);
+  }
+});
+
+// EIP-712 typed data: { domain, types, message } (value is accepted as an alias of message)
+router.post('/typed-data', validateSigner, async (req, res) => {
+  const { domain, types } = req.body;
+  const value = req.body.message !== undefined ? req.body.message : req.body.value;
+  const isObject = (field) => field && typeof field === 'object' && !Array.isArray(field);
+  if (!isObject(domain) || !isObject(types) || !isObject(value)) {
+    return badRequest(res, 'domain, types and message must be objects');
+  }
+
+  try {
+    const result = await signTypedData({
+      chain: req.signer.chain,
+      pkp: req.signer.pkp,
+      clientId: req.apiClient.id,
+      domain,
+      types,
+      value
+    });
+    res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Typed Data Signing Error:', error);
+    sendError(res, error);
+  }
+});
+
+export default router;
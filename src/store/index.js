@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+// How long finished records (done jobs, settled transactions, funding and spend history) are kept
+// (at least a day, since funding caps and spend quotas count today's records)
+export const DATA_RETENTION_MS = Math.max(1, Number(process.env.DATA_RETENTION_DAYS || 30)) * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Changes within this window go to disk in one write; 0 writes every change right away
+const STORE_WRITE_DELAY_MS = Math.max(0, Number(process.env.STORE_WRITE_DELAY_MS || 100));
+
+// Stores with changes not yet on disk, written out on exit
+const dirtyStores = new Set();
+
+export const flushStores = () => {
+  for (const store of [...dirtyStores]) {
+    store.flush();
+  }
+};
+
+process.on('exit', flushStores);
+
+// Last change of a record, for retention
+const updatedAtOf = (record) => Date.parse(record.updatedAt || record.createdAt);
+
+// Small persistent collection backed by one JSON file under DATA_DIR.
+// Records live in memory; changes are batched and the file is rewritten atomically at most
+// once per writeDelayMs (default STORE_WRITE_DELAY_MS). Callers that must not lose a change to
+// a crash, e.g. before broadcasting a transaction, call flush() to write it out right away.
+//
+// Stores that grow with use pass `retention`: { maxAgeMs, canPrune(record), timestamp(record) }.
+// Records canPrune allows whose timestamp (default updatedAt or createdAt, in ms) is older than
+// maxAgeMs are dropped on the first write and then at most hourly.
+export const createStore = (name, { retention = null, writeDelayMs = STORE_WRITE_DELAY_MS } = {}) => {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let records = null;
+  let prunedAt = 0;
+  let writeTimer = null;
+
+  const prune = () => {
+    if (!retention || Date.now() - prunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    prunedAt = Date.now();
+    const cutoff = Date.now() - retention.maxAgeMs;
+    const timestamp = retention.timestamp || updatedAtOf;
+    for (const [id, record] of Object.entries(records)) {
+      const at = timestamp(record);
+      if (at !== null && at < cutoff && retention.canPrune(record)) {
+        delete records[id];
+      }
+    }
+  };
+
+  const load = () => {
+    if (records === null) {
+      records = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+    return records;
+  };
+
+  const write = () => {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    dirtyStores.delete(store);
+    prune();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  const save = () => {
+    if (writeDelayMs === 0) {
+      return write();
+    }
+    if (!writeTimer) {
+      dirtyStores.add(store);
+      writeTimer = setTimeout(write, writeDelayMs);
+      writeTimer.unref();
+    }
+  };
+
+  const store = {
+    get: (id) => load()[id] || null,
+
+    list: (filter = () => true) => Object.values(load()).filter(filter),
+
+    set: (id, record) => {
+      load()[id] = record;
+      save();
+      return record;
+    },
+
+    update: (id, patch) => {
+      const current = load()[id];
+      if (!current) {
+        return null;
+      }
+      records[id] = { ...current, ...patch, updatedAt: new Date().toISOString() };
+      save();
+      return records[id];
+    },
+
+    delete: (id) => {
+      delete load()[id];
+      save();
+    },
+
+    // Write pending changes now
+    flush: () => {
+      if (writeTimer) {
+        write();
+      }
+    }
+  };
+  return store;
+};
@@ -0,0 +1,90 @@
+import express from 'express';
+import { getTransactionRecord, replaceTransaction } from '../lit/transactions.js';
+import { validateFeeOptions } from '../lit/fees.js';
+import { requireApiClient, spendGuard } from '../auth/index.js';
+
+const router = express.Router();
+
+router.use(requireApiClient);
+
+// Input validation middlewares
+const validateTxHash = (req, res, next) => {
+  const txhash = req.params.txhash;
+  if (!/^0x[a-fA-F0-9]{64}$/.test(txhash)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid transaction hash format',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+const validateFees = (req, res, next) => {
+  const feeError = validateFeeOptions(req.body && req.body.fees);
+  if (feeError) {
+    return res.status(400).json({
+      success: false,
+      error: feeError,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || 'Internal server error',
+    code: error.code,
+    details: error.details,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Record of a transaction sent by this server
+router.get('/:txhash', validateTxHash, (req, res) => {
+  const record = getTransactionRecord(req.params.txhash);
+  if (!record || (record.clientId && record.clientId !== req.apiClient.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Transaction was not sent by this server',
+      timestamp: new Date().toISOString()
+    });
+  }
+  res.json({ success: true, data: record, timestamp: new Date().toISOString() });
+});
+
+// Resend with the same nonce and bumped fees
+router.post('/:txhash/speed-up', validateTxHash, validateFees, async (req, res) => {
+  try {
+    const record = getTransactionRecord(req.params.txhash);
+    const result = await replaceTransaction(req.params.txhash, 'speed-up', {
+      fees: req.body.fees,
+      clientId: req.apiClient.id,
+      beforeSign: spendGuard(req.apiClient, record && record.chain)
+    });
+    res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Speed-up Error:', error);
+    sendError(res, error);
+  }
+});
+
+// Replace with a zero-value self-transfer at the same nonce
+router.post('/:txhash/cancel', validateTxHash, validateFees, async (req, res) => {
+  try {
+    const record = getTransactionRecord(req.params.txhash);
+    const result = await replaceTransaction(req.params.txhash, 'cancel', {
+      fees: req.body.fees,
+      clientId: req.apiClient.id,
+      beforeSign: spendGuard(req.apiClient, record && record.chain)
+    });
+    res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Cancel Error:', error);
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,134 @@
+import express from 'express';
+import * as ethers from 'ethers';
+import { transferNative, transferErc20, transferErc721, transferErc1155 } from '../lit/transfers.js';
+import { getAllowedChains, isAllowedChain } from '../lit/utils.js';
+import { validateFeeOptions } from '../lit/fees.js';
+import { requireApiClient, spendGuard } from '../auth/index.js';
+
+const router = express.Router();
+
+router.use(requireApiClient);
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error,
+  timestamp: new Date().toISOString()
+});
+
+const isAddress = (value) => typeof value === 'string' && /^0x[a-fA-F0-9]{40}$/.test(value);
+const isAmount = (value) => (typeof value === 'string' || typeof value === 'number') && /^\d+(\.\d+)?$/.test(String(value));
+const isTokenId = (value) => (typeof value === 'string' || typeof value === 'number') && /^\d+$/.test(String(value));
+
+// Options shared by every transfer: recipient, chain, PKP, fees and confirmations
+const validateTransfer = (req, res, next) => {
+  const {
+    to,
+    chain = process.env.CHAIN_TO_SEND_TX_ON,
+    pkp,
+    fees,
+    waitForConfirmations = 0
+  } = req.body;
+
+  if (!isAddress(to)) {
+    return badRequest(res, 'to must be a valid address');
+  }
+  if (typeof chain !== 'string' || !isAllowedChain(chain)) {
+    return badRequest(res, `Unsupported chain. Allowed chains: ${getAllowedChains().join(', ') || 'none'}`);
+  }
+  if (pkp !== undefined && (typeof pkp !== 'string' || !pkp)) {
+    return badRequest(res, 'pkp must be a PKP label, ethAddress or public key');
+  }
+  const feeError = validateFeeOptions(fees);
+  if (feeError) {
+    return badRequest(res, feeError);
+  }
+  if (!Number.isInteger(waitForConfirmations) || waitForConfirmations < 0) {
+    return badRequest(res, 'waitForConfirmations must be a non-negative integer');
+  }
+
+  req.transferOptions = {
+    chain,
+    pkp,
+    fees,
+    waitForConfirmations,
+    clientId: req.apiClient.id,
+    beforeSign: spendGuard(req.apiClient, chain)
+  };
+  next();
+};
+
+const requireToken = (req, res, next) => {
+  if (!isAddress(req.body.token)) {
+    return badRequest(res, 'token must be a valid contract address');
+  }
+  next();
+};
+
+const sendTransfer = async (res, label, transfer) => {
+  try {
+    const result = await transfer();
+
+    // Mined but reverted on chain
+    if (result.receipt && result.receipt.status === 'reverted') {
+      return res.status(422).json({
+        success: false,
+        error: 'Transaction reverted',
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error(`${label} Error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+      code: error.code,
+      details: error.details,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Native currency: { to, amount } with amount in ether units
+router.post('/native', validateTransfer, (req, res) => {
+  const { to, amount } = req.body;
+  if (!isAmount(amount)) {
+    return badRequest(res, 'amount must be a positive decimal amount');
+  }
+  sendTransfer(res, 'Native Transfer', () => transferNative({ to, amount }, req.transferOptions));
+});
+
+// ERC-20: { token, to, amount } with amount in token units, scaled by the token's decimals
+router.post('/erc20', validateTransfer, requireToken, (req, res) => {
+  const { token, to, amount } = req.body;
+  if (!isAmount(amount)) {
+    return badRequest(res, 'amount must be a positive decimal amount');
+  }
+  sendTransfer(res, 'ERC-20 Transfer', () => transferErc20({ token, to, amount }, req.transferOptions));
+});
+
+// ERC-721: { token, to, tokenId }, sent with safeTransferFrom
+router.post('/erc721', validateTransfer, requireToken, (req, res) => {
+  const { token, to, tokenId } = req.body;
+  if (!isTokenId(tokenId)) {
+    return badRequest(res, 'tokenId must be a non-negative integer');
+  }
+  sendTransfer(res, 'ERC-721 Transfer', () => transferErc721({ token, to, tokenId: String(tokenId) }, req.transferOptions));
+});
+
+// ERC-1155: { token, to, tokenId, amount = 1, data = 0x }, sent with safeTransferFrom
+router.post('/erc1155', validateTransfer, requireToken, (req, res) => {
+  const { token, to, tokenId, amount = '1', data = '0x' } = req.body;
+  if (!isTokenId(tokenId) || !isTokenId(amount)) {
+    return badRequest(res, 'tokenId and amount must be non-negative integers');
+  }
+  if (!ethers.utils.isHexString(data)) {
+    return badRequest(res, 'data must be a 0x-prefixed hex string');
+  }
+  sendTransfer(res, 'ERC-1155 Transfer', () => transferErc1155({ token, to, tokenId: String(tokenId), amount: String(amount), data }, req.transferOptions));
+});
+
+export default router;
@@ -0,0 +1,149 @@
+import '../support/env.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import type { AddressInfo } from 'net';
+import express from 'express';
+import * as ethers from 'ethers';
+import { expect } from 'chai';
+import { captureRawBody, chargeSpend, findApiClient, hashApiKey, requireApiClient } from '../../src/auth/index.js';
+import { waitFor } from '../support/rpc.js';
+
+const API_KEY = 'dashboard-test-key';
+const HMAC_SECRET = 'settlement-test-secret';
+
+const clients = {
+  clients: [
+    { id: 'dashboard', keyHash: hashApiKey(API_KEY), rateLimit: 3, dailyQuota: { mantle: { gas: '0.001', value: '1' } } },
+    { id: 'settlement-worker', hmacSecretEnv: 'TEST_HMAC_SECRET', rateLimit: 100 },
+    { id: 'retired', keyHash: hashApiKey('retired-key'), enabled: false }
+  ]
+};
+
+const sign = (timestamp: number, method: string, url: string, body: string, secret = HMAC_SECRET) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${method}.${url}.${body}`).digest('hex');
+
+describe('API client authentication', () => {
+  let server: http.Server;
+  let baseUrl: string;
+
+  const post = (headers: Record<string, string>, body = '{"to":"0x01"}') =>
+    fetch(`${baseUrl}/sign`, { method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body });
+
+  const signedHeaders = (body: string, timestamp = Date.now(), secret = HMAC_SECRET) => ({
+    'x-client-id': 'settlement-worker',
+    'x-timestamp': String(timestamp),
+    'x-signature': sign(timestamp, 'POST', '/sign', body, secret)
+  });
+
+  before(async () => {
+    process.env.TEST_HMAC_SECRET = HMAC_SECRET;
+    fs.writeFileSync(process.env.API_CLIENTS_FILE, JSON.stringify(clients));
+    await waitFor(() => findApiClient('dashboard') !== null);
+
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.post('/sign', requireApiClient, (req, res) => res.json({ client: req.apiClient.id }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe('API keys', () => {
+    it('accepts a listed key', async () => {
+      const res = await post({ 'x-api-key': API_KEY });
+
+      expect(res.status).to.equal(200);
+      expect(await res.json()).to.deep.equal({ client: 'dashboard' });
+    });
+
+    it('rejects unknown keys, disabled clients and missing credentials', async () => {
+      expect((await post({ 'x-api-key': 'wrong' })).status).to.equal(401);
+      expect((await post({ 'x-api-key': 'retired-key' })).status).to.equal(401);
+      expect((await post({})).status).to.equal(401);
+    });
+
+    it('rate limits each client', async () => {
+      // The first test already used one of the three requests in the window
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        statuses.push((await post({ 'x-api-key': API_KEY })).status);
+      }
+
+      expect(statuses).to.deep.equal([200, 200, 429]);
+    });
+  });
+
+  describe('HMAC signatures', () => {
+    it('accepts a signed request', async () => {
+      const body = '{"to":"0x02"}';
+      const res = await post(signedHeaders(body), body);
+
+      expect(res.status).to.equal(200);
+      expect(await res.json()).to.deep.equal({ client: 'settlement-worker' });
+    });
+
+    it('rejects a signature over another body or with another secret', async () => {
+      expect((await post(signedHeaders('{"to":"0x03"}'), '{"to":"0x04"}')).status).to.equal(401);
+      expect((await post(signedHeaders('{"to":"0x05"}', Date.now(), 'other-secret'), '{"to":"0x05"}')).status).to.equal(401);
+    });
+
+    it('rejects timestamps outside the allowed skew', async () => {
+      const body = '{"to":"0x06"}';
+      const res = await post(signedHeaders(body, Date.now() - 10 * 60 * 1000), body);
+
+      expect(res.status).to.equal(401);
+      expect((await res.json()).error).to.equal('Missing or expired x-timestamp header');
+    });
+
+    it('rejects a replayed request', async () => {
+      const body = '{"to":"0x07"}';
+      const headers = signedHeaders(body);
+
+      expect((await post(headers, body)).status).to.equal(200);
+      const replay = await post(headers, body);
+      expect(replay.status).to.equal(401);
+      expect((await replay.json()).error).to.equal('Request signature was already used');
+    });
+  });
+
+  describe('daily spend quota', () => {
+    const client = () => findApiClient('dashboard');
+    // 21000 gas at 20 gwei costs 0.00042
+    const transfer = (value = '0') => ({ type: 0, gasLimit: 21000, gasPrice: ethers.utils.parseUnits('20', 'gwei'), value: ethers.utils.parseEther(value) });
+
+    it('charges transactions until the quota is used up', () => {
+      chargeSpend(client(), 'mantle', transfer());
+      chargeSpend(client(), 'mantle', transfer());
+
+      expect(() => chargeSpend(client(), 'mantle', transfer()))
+        .to.throw('Daily gas quota exceeded for client dashboard on mantle')
+        .with.property('code', 'QUOTA_EXCEEDED');
+      expect(() => chargeSpend(client(), 'mantle', { ...transfer('2'), gasLimit: 0 })).to.throw(/Daily value quota exceeded/);
+    });
+
+    it('gives a charge back once when the transaction is never sent', () => {
+      // Room for two transfers a day
+      const worker = { id: 'refund-worker', dailyQuota: { '*': { gas: '0.001' } } };
+      const refund = chargeSpend(worker, 'mantle', transfer());
+      chargeSpend(worker, 'mantle', transfer());
+      expect(() => chargeSpend(worker, 'mantle', transfer())).to.throw(/quota exceeded/);
+
+      refund();
+      refund();
+
+      chargeSpend(worker, 'mantle', transfer());
+      expect(() => chargeSpend(worker, 'mantle', transfer())).to.throw(/quota exceeded/);
+    });
+
+    it('does not charge chains without a quota', () => {
+      for (let i = 0; i < 5; i++) {
+        chargeSpend(client(), 'polygon', transfer());
+      }
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import '../support/env.js';
+import { expect } from 'chai';
+import { encodeContractCall } from '../../src/contracts/index.js';
+import { signAndExecuteContractTx } from '../../src/lit/index.js';
+
+const ABI = ['function transfer(address to, uint256 amount) returns (bool)'];
+const TOKEN = '0x0000000000000000000000000000000000001234';
+const RECIPIENT = '0x00000000000000000000000000000000000000aa';
+
+// The error a call throws or rejects with, checked to be the 400 for a bad call
+const invalidCall = async (run: () => unknown) => {
+  let error = null;
+  try {
+    await run();
+  } catch (caught) {
+    error = caught;
+  }
+  expect(error).to.include({ statusCode: 400, code: 'INVALID_CONTRACT_CALL' });
+  return error;
+};
+
+describe('contract call encoding', () => {
+  it('encodes a call the ABI describes', () => {
+    const { fragment, data } = encodeContractCall(ABI, 'transfer', [RECIPIENT, 1]);
+
+    expect(fragment.format()).to.equal('transfer(address,uint256)');
+    expect(data.slice(0, 10)).to.equal('0xa9059cbb');
+  });
+
+  it('rejects ABIs, functions and params the caller got wrong with 400', async () => {
+    await invalidCall(() => encodeContractCall(['function (oops'], 'transfer', []));
+    const unknown = await invalidCall(() => encodeContractCall(ABI, 'approve', [RECIPIENT, 1]));
+    await invalidCall(() => encodeContractCall(ABI, 'transfer', ['not an address', 1]));
+
+    expect(unknown.details).to.deep.equal({ functionName: 'approve' });
+  });
+
+  it('rejects a bad call on the signing path and in dry runs before anything else', async () => {
+    await invalidCall(() => signAndExecuteContractTx(TOKEN, ABI, 'transfer', [RECIPIENT], '0', { chain: 'mantle' }));
+    await invalidCall(() => signAndExecuteContractTx(TOKEN, ABI, 'transfer', [RECIPIENT], '0', { chain: 'mantle', dryRun: true }));
+  });
+});
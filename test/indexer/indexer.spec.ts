@@ -0,0 +1,143 @@
+import '../support/env.js';
+import { expect } from 'chai';
+import { startIndexer, stopIndexer } from '../../src/indexer/indexer.js';
+import { closeIndexDb, getCursor, getIndexedBlock, listTransactions } from '../../src/indexer/db.js';
+import { startRpcServer, useRpcUrl, waitFor } from '../support/rpc.js';
+
+const CHAIN = 'mantle';
+const WATCHED = '0x00000000000000000000000000000000000000aa';
+const OTHER = '0x00000000000000000000000000000000000000bb';
+
+const toHex = (value: number) => `0x${value.toString(16)}`;
+const hash = (label: string) => `0x${Buffer.from(label).toString('hex').padStart(64, '0')}`;
+
+type Block = { number: number; hash: string; parentHash: string; transactions: Array<{ hash: string; from: string; to: string }> };
+
+// The mock node's canonical chain, by block number; tests swap blocks out to reorg it
+const chain = new Map<number, Block>();
+const addBlock = (number: number, label: string, transactions: Block['transactions'] = []) => {
+  const parent = chain.get(number - 1);
+  chain.set(number, { number, hash: hash(label), parentHash: parent ? parent.hash : hash('genesis'), transactions });
+};
+const head = () => Math.max(...chain.keys());
+
+const rpcTransaction = (block: Block, tx: Block['transactions'][number], index: number) => ({
+  hash: tx.hash,
+  nonce: toHex(index),
+  blockHash: block.hash,
+  blockNumber: toHex(block.number),
+  transactionIndex: toHex(index),
+  from: tx.from,
+  to: tx.to,
+  value: '0x1',
+  gas: '0x5208',
+  gasPrice: '0x1',
+  input: '0x',
+  chainId: toHex(5000),
+  type: '0x0',
+  v: toHex(10035),
+  r: hash('r'),
+  s: hash('s')
+});
+
+const rpcBlock = (block: Block, full: boolean) => ({
+  number: toHex(block.number),
+  hash: block.hash,
+  parentHash: block.parentHash,
+  timestamp: toHex(1700000000 + block.number),
+  nonce: '0x0000000000000000',
+  difficulty: '0x0',
+  gasLimit: '0x1c9c380',
+  gasUsed: '0x0',
+  miner: OTHER,
+  extraData: '0x',
+  transactions: block.transactions.map((tx, index) => full ? rpcTransaction(block, tx, index) : tx.hash)
+});
+
+const findTransaction = (txHash: string) => {
+  for (const block of chain.values()) {
+    const index = block.transactions.findIndex((tx) => tx.hash === txHash);
+    if (index !== -1) {
+      return { block, tx: block.transactions[index], index };
+    }
+  }
+  return null;
+};
+
+const listWatched = () =>
+  listTransactions(CHAIN, WATCHED, { startBlock: 0, endBlock: Number.MAX_SAFE_INTEGER, page: 1, offset: 100, sort: 'asc' })
+    .map((row) => [row.hash, row.block_number, row.block_hash]);
+
+describe('indexer', () => {
+  let rpc: Awaited<ReturnType<typeof startRpcServer>>;
+
+  before(async () => {
+    rpc = await startRpcServer({
+      eth_chainId: () => toHex(5000),
+      eth_blockNumber: () => toHex(head()),
+      eth_getBlockByNumber: ([tag, full]) => {
+        const block = chain.get(parseInt(tag, 16));
+        return block ? rpcBlock(block, full) : null;
+      },
+      eth_getTransactionReceipt: ([txHash]) => {
+        const found = findTransaction(txHash);
+        return found && {
+          transactionHash: txHash,
+          blockHash: found.block.hash,
+          blockNumber: toHex(found.block.number),
+          transactionIndex: toHex(found.index),
+          from: found.tx.from,
+          to: found.tx.to,
+          contractAddress: null,
+          cumulativeGasUsed: '0x5208',
+          gasUsed: '0x5208',
+          effectiveGasPrice: '0x1',
+          logs: [],
+          logsBloom: `0x${'00'.repeat(256)}`,
+          status: '0x1',
+          type: '0x0'
+        };
+      },
+      eth_getLogs: () => []
+    });
+    useRpcUrl(CHAIN, rpc.url);
+    process.env.INDEXER_CHAINS = CHAIN;
+    process.env.INDEXER_WATCH_ADDRESSES = WATCHED;
+
+    addBlock(1, '1');
+    addBlock(2, '2', [{ hash: hash('tx2'), from: WATCHED, to: OTHER }, { hash: hash('unrelated'), from: OTHER, to: OTHER }]);
+    addBlock(3, '3', [{ hash: hash('tx3'), from: OTHER, to: WATCHED }]);
+    startIndexer();
+  });
+
+  after(async () => {
+    stopIndexer();
+    closeIndexDb();
+    delete process.env.INDEXER_CHAINS;
+    delete process.env.INDEXER_WATCH_ADDRESSES;
+    await rpc.close();
+  });
+
+  it('stores the transactions of watched addresses up to the head', async () => {
+    await waitFor(() => getCursor(CHAIN) === 4);
+
+    expect(listWatched()).to.deep.equal([
+      [hash('tx2'), 2, hash('2')],
+      [hash('tx3'), 3, hash('3')]
+    ]);
+  });
+
+  it('rolls back replaced blocks and indexes the new fork', async () => {
+    // Block 3 is replaced and the chain goes on from the new one
+    addBlock(3, '3b');
+    addBlock(4, '4b', [{ hash: hash('tx4b'), from: WATCHED, to: OTHER }]);
+
+    await waitFor(() => getCursor(CHAIN) === 5);
+
+    expect(getIndexedBlock(CHAIN, 3).hash).to.equal(hash('3b'));
+    expect(listWatched()).to.deep.equal([
+      [hash('tx2'), 2, hash('2')],
+      [hash('tx4b'), 4, hash('4b')]
+    ]);
+  });
+});
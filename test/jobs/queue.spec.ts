@@ -0,0 +1,136 @@
+import { DATA_DIR } from '../support/env.js';
+import fs from 'fs';
+import path from 'path';
+import { expect } from 'chai';
+import { enqueueJob, getJob, registerJobHandler, startJobWorker, stopJobWorker } from '../../src/jobs/queue.js';
+import { startRpcServer, useRpcUrl, waitFor } from '../support/rpc.js';
+
+const CHAIN = 'baseSepolia';
+const REUSED = '0x00000000000000000000000000000000000000aa';
+const UNUSED = '0x00000000000000000000000000000000000000bb';
+const TX_HASH = `0x${'11'.repeat(32)}`;
+const BLOCK_HASH = `0x${'22'.repeat(32)}`;
+
+const toHex = (value: number) => `0x${value.toString(16)}`;
+
+// A job as a previous run of the server left it in jobs.json
+const savedJob = (id: string, status: string, stages: Array<Record<string, unknown>>, txHash: string | null = null) => {
+  const at = new Date().toISOString();
+  return {
+    id,
+    type: 'test',
+    input: { chain: CHAIN },
+    status,
+    stages: [{ stage: 'queued', at }, ...stages.map((stage) => ({ at, ...stage }))],
+    attempts: 1,
+    maxAttempts: 3,
+    nextAttemptAt: Date.now(),
+    chain: CHAIN,
+    txHash,
+    result: null,
+    error: null,
+    createdAt: at,
+    updatedAt: at
+  };
+};
+
+describe('job queue recovery', () => {
+  let rpc: Awaited<ReturnType<typeof startRpcServer>>;
+  const handled: string[] = [];
+
+  before(async () => {
+    rpc = await startRpcServer({
+      eth_chainId: () => toHex(84532),
+      eth_blockNumber: () => toHex(100),
+      // REUSED has sent nonce 5 since the server stopped, UNUSED has not
+      eth_getTransactionCount: ([address]) => toHex(address.toLowerCase() === REUSED ? 6 : 5),
+      eth_getTransactionReceipt: ([hash]) => hash !== TX_HASH ? null : {
+        transactionHash: TX_HASH,
+        blockHash: BLOCK_HASH,
+        blockNumber: toHex(100),
+        transactionIndex: '0x0',
+        from: UNUSED,
+        to: UNUSED,
+        contractAddress: null,
+        cumulativeGasUsed: '0x5208',
+        gasUsed: '0x5208',
+        effectiveGasPrice: '0x1',
+        logs: [],
+        logsBloom: `0x${'00'.repeat(256)}`,
+        status: '0x1',
+        type: '0x2'
+      }
+    });
+    useRpcUrl(CHAIN, rpc.url);
+
+    fs.writeFileSync(path.join(DATA_DIR, 'jobs.json'), JSON.stringify({
+      reused: savedJob('reused', 'built', [{ stage: 'built', from: REUSED, nonce: 5 }]),
+      unused: savedJob('unused', 'built', [{ stage: 'built', from: UNUSED, nonce: 5 }]),
+      sent: savedJob('sent', 'broadcast', [{ stage: 'built', from: UNUSED, nonce: 4 }, { stage: 'broadcast', txHash: TX_HASH }], TX_HASH)
+    }));
+
+    registerJobHandler('test', async (input, { job }) => {
+      handled.push(job.id);
+      return { done: true };
+    });
+    // Fails like a Lit node timing out after the transaction was built, then succeeds
+    registerJobHandler('flaky', async (input, { job, onStage }) => {
+      if (job.attempts === 1) {
+        onStage('built', { nonce: 5, from: input.from });
+        throw Object.assign(new Error('Lit node timed out'), { statusCode: 502 });
+      }
+      return { done: true };
+    });
+    await startJobWorker();
+  });
+
+  after(async () => {
+    stopJobWorker();
+    await rpc.close();
+  });
+
+  it('fails a built job whose nonce was used while the server was down', () => {
+    const job = getJob('reused');
+
+    expect(job.status).to.equal('failed');
+    expect(job.error.code).to.equal('INTERRUPTED');
+    expect(job.error.details).to.deep.equal({ nonce: 5, from: REUSED });
+    expect(handled).not.to.include('reused');
+  });
+
+  it('re-runs a built job whose nonce is still unused', async () => {
+    await waitFor(() => getJob('unused').status === 'confirmed');
+    const job = getJob('unused');
+
+    expect(job.stages.map((stage) => stage.stage)).to.deep.equal(['queued', 'built', 'queued', 'confirmed']);
+    expect(job.stages[2].recovered).to.equal(true);
+    expect(job.result).to.deep.equal({ done: true });
+  });
+
+  it('watches the receipt of a broadcast job instead of re-running it', async () => {
+    await waitFor(() => getJob('sent').status === 'confirmed');
+
+    expect(getJob('sent').stages.at(-1).blockNumber).to.equal(100);
+    expect(handled).to.deep.equal(['unused']);
+  });
+
+  it('does not rebuild a job that failed after building once its nonce is used', async () => {
+    const { id } = enqueueJob('flaky', { chain: CHAIN, from: REUSED });
+    await waitFor(() => getJob(id).status === 'failed');
+    const job = getJob(id);
+
+    expect(job.attempts).to.equal(1);
+    expect(job.error.code).to.equal('INTERRUPTED');
+    expect(job.error.details).to.deep.equal({ nonce: 5, from: REUSED });
+  });
+
+  it('retries a job that failed after building while its nonce is unused', async () => {
+    const { id } = enqueueJob('flaky', { chain: CHAIN, from: UNUSED });
+    await waitFor(() => getJob(id).status === 'confirmed');
+    const job = getJob(id);
+
+    expect(job.attempts).to.equal(2);
+    expect(job.stages.map((stage) => stage.stage)).to.deep.equal(['queued', 'built', 'queued', 'confirmed']);
+    expect(job.stages[2]).to.include({ retryOf: 1, error: 'Lit node timed out' });
+  });
+});
@@ -0,0 +1,122 @@
+import '../support/env.js';
+import fs from 'fs';
+import * as ethers from 'ethers';
+import { expect } from 'chai';
+import { startRpcServer, useRpcUrl } from '../support/rpc.js';
+import { ensurePkpFunded, listFundingLog } from '../../src/lit/funding.js';
+
+const CHAIN = 'polygon';
+const GAS_PRICE = ethers.utils.parseUnits('1', 'gwei');
+
+// What the node reports: balances, and which sent transactions it has mined
+const balances = new Map<string, ethers.BigNumber>();
+const mined = new Set<string>();
+let mineTopUps = true;
+
+const useFundingConfig = (config: Record<string, unknown>) =>
+  fs.writeFileSync(process.env.FUNDING_CONFIG_FILE, JSON.stringify(config));
+
+// A PKP with nothing on it yet
+const emptyPkp = () => ethers.Wallet.createRandom().address;
+
+const rejection = (promise: Promise<unknown>) => promise.then(() => null, (error) => error);
+
+describe('PKP funding', () => {
+  let rpc: Awaited<ReturnType<typeof startRpcServer>>;
+
+  before(async () => {
+    rpc = await startRpcServer({
+      eth_chainId: () => '0x89',
+      eth_blockNumber: () => '0x20',
+      eth_gasPrice: () => GAS_PRICE.toHexString(),
+      eth_getBalance: ([address]) => (balances.get(address.toLowerCase()) || ethers.constants.Zero).toHexString(),
+      eth_getTransactionCount: () => '0x0',
+      eth_sendRawTransaction: ([raw]) => {
+        const { hash } = ethers.utils.parseTransaction(raw);
+        if (mineTopUps) {
+          mined.add(hash);
+        }
+        return hash;
+      },
+      eth_getTransactionReceipt: ([hash]) => mined.has(hash) ? {
+        transactionHash: hash,
+        blockHash: ethers.utils.id('block'),
+        blockNumber: '0x10',
+        transactionIndex: '0x0',
+        from: ethers.constants.AddressZero,
+        to: ethers.constants.AddressZero,
+        contractAddress: null,
+        cumulativeGasUsed: '0x5208',
+        gasUsed: '0x5208',
+        effectiveGasPrice: GAS_PRICE.toHexString(),
+        logs: [],
+        logsBloom: `0x${'00'.repeat(256)}`,
+        status: '0x1',
+        type: '0x0'
+      } : null
+    });
+    useRpcUrl(CHAIN, rpc.url);
+  });
+
+  beforeEach(() => {
+    // Two and a half top-ups a day
+    useFundingConfig({ enabled: true, chains: { [CHAIN]: { costMultiplier: 1, topUpAmount: '0.001', dailyCap: '0.0025' } } });
+    mineTopUps = true;
+  });
+
+  after(async () => {
+    await rpc.close();
+  });
+
+  it('leaves a PKP alone when its balance covers the cost', async () => {
+    const pkp = emptyPkp();
+    balances.set(pkp.toLowerCase(), ethers.utils.parseEther('0.01'));
+
+    await ensurePkpFunded(CHAIN, pkp, { gas: ethers.utils.parseEther('0.0005') });
+
+    expect(listFundingLog({ pkpAddress: pkp })).to.deep.equal([]);
+  });
+
+  it('does not fund the value a transaction sends unless the chain opts in', async () => {
+    const pkp = emptyPkp();
+
+    const error = await rejection(ensurePkpFunded(CHAIN, pkp, { gas: ethers.utils.parseEther('0.0005'), value: ethers.utils.parseEther('1') }));
+
+    expect(error).to.include({ statusCode: 422, code: 'INSUFFICIENT_PKP_BALANCE' });
+    expect(listFundingLog({ pkpAddress: pkp })).to.deep.equal([]);
+  });
+
+  it('sends a top-up and waits for it to be mined', async () => {
+    const pkp = emptyPkp();
+
+    await ensurePkpFunded(CHAIN, pkp, { gas: ethers.utils.parseEther('0.0005') });
+
+    const [entry] = listFundingLog({ pkpAddress: pkp });
+    expect(entry).to.include({ chain: CHAIN, amount: '0.001', status: 'confirmed' });
+    expect(mined.has(entry.txHash)).to.equal(true);
+  });
+
+  it('gives up on a top-up that is not mined in time but still counts it towards the cap', async () => {
+    const pkp = emptyPkp();
+    mineTopUps = false;
+
+    const error = await rejection(ensurePkpFunded(CHAIN, pkp, { gas: ethers.utils.parseEther('0.0005') }));
+
+    expect(error).to.include({ statusCode: 504, code: 'FUNDING_TIMEOUT' });
+    const [entry] = listFundingLog({ pkpAddress: pkp });
+    expect(entry).to.include({ status: 'unconfirmed', txHash: error.details.txHash });
+
+    // The PKP is not left waiting on the lost top-up, and the 0.002 already sent today leaves no room for another
+    const retry = await rejection(ensurePkpFunded(CHAIN, pkp, { gas: ethers.utils.parseEther('0.0005') }));
+    expect(retry).to.include({ statusCode: 503, code: 'FUNDING_CAP_REACHED' });
+    expect(retry.details).to.include({ fundedToday: '0.002', requested: '0.001' });
+  });
+
+  it('honours the kill switch', async () => {
+    useFundingConfig({ enabled: false });
+
+    const error = await rejection(ensurePkpFunded(CHAIN, emptyPkp(), { gas: ethers.utils.parseEther('0.0005') }));
+
+    expect(error).to.include({ statusCode: 503, code: 'FUNDING_DISABLED' });
+  });
+});
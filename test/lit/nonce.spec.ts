@@ -0,0 +1,103 @@
+import '../support/env.js';
+import { expect } from 'chai';
+import { getNonceStatus, markNonceBroadcast, releaseNonce, reserveNonce, reserveNonces, resyncNonces } from '../../src/lit/nonce.js';
+
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+
+// Transaction counts the node reports; tests move them to simulate mined transactions
+const createProvider = (latest: number, pending = latest) => {
+  const counts = { latest, pending };
+  return {
+    counts,
+    getTransactionCount: async (address: string, tag: 'latest' | 'pending') => counts[tag]
+  };
+};
+
+// The manager keeps state per chain and address, so every test gets its own chain
+let chainCount = 0;
+const newChain = () => `test-chain-${++chainCount}`;
+
+describe('nonce manager', () => {
+  it('reserves consecutive nonces from the pending count', async () => {
+    const chain = newChain();
+    const provider = createProvider(3, 5);
+
+    expect(await reserveNonce(provider, chain, ADDRESS)).to.equal(5);
+    expect(await reserveNonces(provider, chain, ADDRESS, 3)).to.deep.equal([6, 7, 8]);
+  });
+
+  it('fills a released gap before moving the head', async () => {
+    const chain = newChain();
+    const provider = createProvider(5);
+    await reserveNonces(provider, chain, ADDRESS, 3);
+
+    await releaseNonce(chain, ADDRESS, 6);
+
+    expect(await reserveNonce(provider, chain, ADDRESS)).to.equal(6);
+    expect(await reserveNonce(provider, chain, ADDRESS)).to.equal(8);
+  });
+
+  it('keeps batches consecutive and leaves gaps for single reservations', async () => {
+    const chain = newChain();
+    const provider = createProvider(5);
+    await reserveNonces(provider, chain, ADDRESS, 3);
+    await releaseNonce(chain, ADDRESS, 6);
+
+    expect(await reserveNonces(provider, chain, ADDRESS, 2)).to.deep.equal([8, 9]);
+    expect(await reserveNonce(provider, chain, ADDRESS)).to.equal(6);
+  });
+
+  it('moves the head back down when the top nonces are released', async () => {
+    const chain = newChain();
+    const provider = createProvider(5);
+    await reserveNonces(provider, chain, ADDRESS, 3);
+
+    // Released newest first, as a batch that never went out does
+    await releaseNonce(chain, ADDRESS, 7);
+    await releaseNonce(chain, ADDRESS, 6);
+
+    expect(await reserveNonce(provider, chain, ADDRESS)).to.equal(6);
+  });
+
+  it('never releases a nonce that was broadcast', async () => {
+    const chain = newChain();
+    const provider = createProvider(5);
+    const nonce = await reserveNonce(provider, chain, ADDRESS);
+    markNonceBroadcast(chain, ADDRESS, nonce, '0x01');
+
+    await releaseNonce(chain, ADDRESS, nonce);
+
+    expect(await reserveNonce(provider, chain, ADDRESS)).to.equal(6);
+  });
+
+  it('reports released nonces the node has nothing pending for as gaps', async () => {
+    const chain = newChain();
+    const provider = createProvider(5);
+    const [first, second] = await reserveNonces(provider, chain, ADDRESS, 3);
+    markNonceBroadcast(chain, ADDRESS, first, '0x01');
+    await releaseNonce(chain, ADDRESS, second);
+
+    const status = await getNonceStatus(provider, chain, ADDRESS);
+
+    expect(status.gaps).to.deep.equal([6]);
+    expect(status.nextNonce).to.equal(8);
+    expect(status.pending.map((entry) => [entry.nonce, entry.status])).to.deep.equal([
+      [5, 'broadcast'],
+      [7, 'reserved']
+    ]);
+  });
+
+  it('forgets mined nonces and gaps when resynced', async () => {
+    const chain = newChain();
+    const provider = createProvider(5);
+    await reserveNonces(provider, chain, ADDRESS, 3);
+    await releaseNonce(chain, ADDRESS, 6);
+
+    // Another wallet using the same key sent 5, 6 and 7
+    provider.counts.latest = 8;
+    provider.counts.pending = 8;
+
+    expect(await resyncNonces(provider, chain, ADDRESS)).to.equal(8);
+    expect(await reserveNonce(provider, chain, ADDRESS)).to.equal(8);
+  });
+});
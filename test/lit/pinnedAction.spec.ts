@@ -0,0 +1,78 @@
+import { IPFS_PIN_PORT } from '../support/env.js';
+import crypto from 'crypto';
+import http from 'http';
+import { expect } from 'chai';
+import { getCurrentAction } from '../../src/lit/pinnedAction.js';
+import { buildLitActionCode } from '../../src/lit/litAction.js';
+import { getPolicy } from '../../src/policy/index.js';
+import { removePolicy, usePolicy } from '../support/policy.js';
+
+// Stands in for the pinning service: answers with a CID derived from the upload
+const uploads: string[] = [];
+let failPins = false;
+const pinServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    if (failPins || req.headers.authorization !== 'Bearer test-jwt') {
+      res.statusCode = 500;
+      return res.end();
+    }
+    uploads.push(body);
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ IpfsHash: `Qm${crypto.createHash('sha256').update(body).digest('hex').slice(0, 44)}` }));
+  });
+});
+
+// Uploads that carry the action code for a client (null for shared PKPs)
+const uploadsFor = (clientId: string | null) =>
+  uploads.filter((upload) => upload.includes(buildLitActionCode(getPolicy(), clientId)));
+
+describe('pinned Lit Action', () => {
+  before(async () => {
+    await new Promise<void>((resolve) => pinServer.listen(IPFS_PIN_PORT, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    await new Promise((resolve) => pinServer.close(resolve));
+  });
+
+  it('has nothing to pin without a policy', async () => {
+    await removePolicy();
+
+    const error = await getCurrentAction('settlement-worker').catch((caught) => caught);
+    expect(error).to.include({ statusCode: 503, code: 'POLICY_MISSING' });
+  });
+
+  it('reports a failed pin and tries again next time', async () => {
+    await usePolicy();
+    failPins = true;
+
+    const error = await getCurrentAction('settlement-worker').catch((caught) => caught);
+    expect(error).to.include({ statusCode: 502, code: 'IPFS_PIN_FAILED' });
+    failPins = false;
+
+    const action = await getCurrentAction('settlement-worker');
+    expect(action.clientId).to.equal('settlement-worker');
+  });
+
+  it('pins the policy action bound to the client once and reuses it', async () => {
+    const action = await getCurrentAction('settlement-worker');
+
+    expect(uploadsFor('settlement-worker')).to.have.length(1);
+    expect(action).to.include({ clientId: 'settlement-worker' });
+    expect(action.cid).to.match(/^Qm/);
+  });
+
+  it('pins a separate action for shared PKPs, once for concurrent requests', async () => {
+    const [first, second] = await Promise.all([getCurrentAction(null), getCurrentAction(null)]);
+    const bound = await getCurrentAction('settlement-worker');
+
+    expect(first).to.deep.equal(second);
+    expect(uploadsFor(null)).to.have.length(1);
+    expect(first.clientId).to.equal(null);
+    expect(first.cid).not.to.equal(bound.cid);
+  });
+});
@@ -0,0 +1,63 @@
+import '../support/env.js';
+import { expect } from 'chai';
+import { DASHBOARD_PKP, SHARED_PKP, WORKER_PKP } from '../support/pkps.js';
+import { removePolicy } from '../support/policy.js';
+import { findPkp, listPkps, mintPkp, resolvePkp, validatePkpLabel } from '../../src/lit/pkps.js';
+
+const labels = (records: Array<{ label: string }>) => records.map((record) => record.label).sort();
+
+describe('PKP registry', () => {
+  it('shows a client the shared PKPs and its own', () => {
+    expect(labels(listPkps('dashboard'))).to.deep.equal(['Dashboard-Hot', 'treasury']);
+    expect(labels(listPkps('settlement-worker'))).to.deep.equal(['treasury', 'worker-hot']);
+    expect(labels(listPkps())).to.deep.equal(['treasury']);
+  });
+
+  it('selects a PKP by label, address or public key', () => {
+    expect(findPkp('dashboard-hot', 'dashboard')).to.deep.equal(DASHBOARD_PKP);
+    expect(findPkp(DASHBOARD_PKP.ethAddress.toLowerCase(), 'dashboard')).to.deep.equal(DASHBOARD_PKP);
+    expect(findPkp(DASHBOARD_PKP.publicKey.slice(2), 'dashboard')).to.deep.equal(DASHBOARD_PKP);
+    expect(findPkp(SHARED_PKP.publicKey, 'dashboard')).to.deep.equal(SHARED_PKP);
+  });
+
+  it("never resolves another client's PKP", async () => {
+    expect(findPkp(WORKER_PKP.label, 'dashboard')).to.equal(null);
+
+    const error = await resolvePkp(WORKER_PKP.ethAddress, { clientId: 'dashboard' }).catch((caught) => caught);
+    expect(error).to.include({ statusCode: 404, code: 'PKP_NOT_FOUND' });
+  });
+
+  it('does not mint a default PKP for requests that may not', async () => {
+    const error = await resolvePkp(undefined, { mint: false }).catch((caught) => caught);
+
+    expect(error).to.include({ statusCode: 400, code: 'NO_PKP' });
+  });
+
+  describe('labels', () => {
+    it('must be short and plain', () => {
+      expect(validatePkpLabel('hot-wallet_2.eu')).to.equal(null);
+      expect(validatePkpLabel('')).to.match(/label must be/);
+      expect(validatePkpLabel('with space')).to.match(/label must be/);
+      expect(validatePkpLabel(42)).to.match(/label must be/);
+    });
+
+    it('are unique across clients, ignoring case', () => {
+      expect(validatePkpLabel('env')).to.equal('A PKP labelled env already exists');
+      expect(validatePkpLabel('WORKER-HOT')).to.equal('A PKP labelled WORKER-HOT already exists');
+    });
+
+    it('are taken while a PKP is being minted and freed if the mint fails', async () => {
+      // Without a policy there is no Lit Action to lock the PKP to, so the mint fails before reaching Lit
+      await removePolicy();
+      const first = mintPkp({ label: 'ops', clientId: 'dashboard' });
+
+      expect(validatePkpLabel('OPS')).to.equal('A PKP labelled OPS already exists');
+      const second = await mintPkp({ label: 'ops', clientId: 'settlement-worker' }).catch((caught) => caught);
+      expect(second).to.include({ statusCode: 400, code: 'INVALID_PKP_LABEL' });
+
+      const error = await first.catch((caught) => caught);
+      expect(error.code).to.equal('POLICY_MISSING');
+      expect(validatePkpLabel('ops')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import '../support/env.js';
+import * as ethers from 'ethers';
+import { expect } from 'chai';
+import { DASHBOARD_PKP } from '../support/pkps.js';
+import { usePolicy } from '../support/policy.js';
+import { startRpcServer, useRpcUrl } from '../support/rpc.js';
+import { getTransactionRecord, recordTransaction, replaceTransaction, updateTransactionRecord } from '../../src/lit/transactions.js';
+
+const CHAIN = 'arbitrum';
+const TOKEN = '0x0000000000000000000000000000000000001234';
+const ALLOWED_RECIPIENT = '0x00000000000000000000000000000000000000aa';
+const OTHER = '0x00000000000000000000000000000000000000cc';
+const GAS_PRICE = ethers.utils.parseUnits('1', 'gwei');
+
+const token = new ethers.utils.Interface(['function transfer(address to, uint256 amount)']);
+
+// What the node reports: mined transactions and each address's mined transaction count
+const mined = new Set<string>();
+const latestCounts = new Map<string, number>();
+
+let txCount = 0;
+// A transaction as the signing pipeline records it after broadcasting
+const sentTransaction = ({ from = DASHBOARD_PKP.ethAddress, to = TOKEN, nonce = 3 } = {}) => {
+  const txHash = ethers.utils.id(`tx-${++txCount}`);
+  recordTransaction({
+    txHash,
+    nonce,
+    chain: CHAIN,
+    from,
+    publicKey: DASHBOARD_PKP.publicKey,
+    kind: 'contract',
+    clientId: 'dashboard',
+    unsignedTransaction: {
+      type: 0,
+      to,
+      data: token.encodeFunctionData('transfer', [ALLOWED_RECIPIENT, 1]),
+      value: '0x0',
+      gasLimit: ethers.BigNumber.from(100000).toHexString(),
+      gasPrice: GAS_PRICE.toHexString(),
+      nonce,
+      chainId: 42161
+    },
+    metadata: {}
+  });
+  return txHash;
+};
+
+// Stops a replacement at the beforeSign hook, before funding or the Lit network, and keeps what it was given
+class Stop extends Error {}
+const stopBeforeSigning = () => {
+  const seen: { transaction: any } = { transaction: null };
+  return {
+    seen,
+    beforeSign: (transaction) => {
+      seen.transaction = transaction;
+      throw new Stop();
+    }
+  };
+};
+
+const rejection = (promise: Promise<unknown>) => promise.then(() => null, (error) => error);
+
+describe('transaction replacement', () => {
+  let rpc: Awaited<ReturnType<typeof startRpcServer>>;
+
+  before(async () => {
+    rpc = await startRpcServer({
+      eth_chainId: () => '0xa4b1',
+      eth_blockNumber: () => '0x20',
+      eth_gasPrice: () => GAS_PRICE.toHexString(),
+      eth_getTransactionCount: ([address]) => ethers.utils.hexValue(latestCounts.get(address.toLowerCase()) || 0),
+      eth_getTransactionReceipt: ([hash]) => mined.has(hash) ? {
+        transactionHash: hash,
+        blockHash: ethers.utils.id('block'),
+        blockNumber: '0x10',
+        transactionIndex: '0x0',
+        from: DASHBOARD_PKP.ethAddress,
+        to: TOKEN,
+        contractAddress: null,
+        cumulativeGasUsed: '0x5208',
+        gasUsed: '0x5208',
+        effectiveGasPrice: '0x1',
+        logs: [],
+        logsBloom: `0x${'00'.repeat(256)}`,
+        status: '0x1',
+        type: '0x0'
+      } : null
+    });
+    useRpcUrl(CHAIN, rpc.url);
+    await usePolicy();
+  });
+
+  after(async () => {
+    await rpc.close();
+  });
+
+  it('only lets a client replace its own transactions', async () => {
+    const error = await rejection(replaceTransaction(sentTransaction(), 'cancel', { clientId: 'settlement-worker' }));
+
+    expect(error).to.include({ statusCode: 404, code: 'TRANSACTION_NOT_FOUND' });
+  });
+
+  it('refuses transactions that are mined or whose nonce was used', async () => {
+    const minedHash = sentTransaction();
+    mined.add(minedHash);
+    const minedError = await rejection(replaceTransaction(minedHash, 'speed-up', { clientId: 'dashboard' }));
+
+    expect(minedError).to.include({ statusCode: 409, code: 'ALREADY_MINED' });
+    expect(getTransactionRecord(minedHash).status).to.equal('confirmed');
+
+    const from = ethers.Wallet.createRandom().address;
+    latestCounts.set(from.toLowerCase(), 4);
+    const usedError = await rejection(replaceTransaction(sentTransaction({ from }), 'cancel', { clientId: 'dashboard' }));
+
+    expect(usedError).to.include({ statusCode: 409, code: 'NONCE_USED' });
+  });
+
+  it('refuses to replace a transaction twice', async () => {
+    const txHash = sentTransaction();
+    updateTransactionRecord(txHash, { replacedBy: ethers.utils.id('replacement') });
+
+    const error = await rejection(replaceTransaction(txHash, 'speed-up', { clientId: 'dashboard' }));
+
+    expect(error).to.include({ statusCode: 409, code: 'ALREADY_REPLACED' });
+  });
+
+  it('cancels with a zero value self-transfer at the same nonce and higher fees', async () => {
+    const { seen, beforeSign } = stopBeforeSigning();
+
+    // The PKP was minted for the client, so it is only found with the record's client
+    const error = await rejection(replaceTransaction(sentTransaction(), 'cancel', { clientId: 'dashboard', beforeSign }));
+
+    expect(error).to.be.instanceOf(Stop);
+    expect(seen.transaction).to.deep.include({ to: DASHBOARD_PKP.ethAddress, data: '0x', value: '0x0', nonce: 3, chainId: 42161 });
+    expect(ethers.BigNumber.from(seen.transaction.gasPrice).gte(GAS_PRICE.mul(1125).div(1000))).to.equal(true);
+  });
+
+  it('speeds up with the same call at higher fees', async () => {
+    const { seen, beforeSign } = stopBeforeSigning();
+
+    await rejection(replaceTransaction(sentTransaction(), 'speed-up', { clientId: 'dashboard', beforeSign }));
+
+    expect(seen.transaction).to.deep.include({ to: TOKEN, data: token.encodeFunctionData('transfer', [ALLOWED_RECIPIENT, 1]), nonce: 3 });
+    expect(ethers.BigNumber.from(seen.transaction.gasPrice).gt(GAS_PRICE)).to.equal(true);
+  });
+
+  it('checks the current policy before re-signing', async () => {
+    const { seen, beforeSign } = stopBeforeSigning();
+
+    const error = await rejection(replaceTransaction(sentTransaction({ to: OTHER }), 'speed-up', { clientId: 'dashboard', beforeSign }));
+
+    expect(error).to.include({ statusCode: 403, code: 'POLICY_VIOLATION' });
+    expect(seen.transaction).to.equal(null);
+  });
+
+  it('refuses a transaction whose PKP is no longer registered', async () => {
+    const error = await rejection(replaceTransaction(sentTransaction({ from: ethers.Wallet.createRandom().address }), 'cancel', { clientId: 'dashboard' }));
+
+    expect(error).to.include({ statusCode: 404, code: 'PKP_NOT_FOUND' });
+  });
+});
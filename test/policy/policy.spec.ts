@@ -0,0 +1,174 @@
+import '../support/env.js';
+import fs from 'fs';
+import vm from 'vm';
+import * as ethers from 'ethers';
+import { expect } from 'chai';
+import {
+  assertTransactionAllowed,
+  checkMessagePolicy,
+  checkTransactionPolicy,
+  getPolicyStatus,
+  normalizePolicy
+} from '../../src/policy/index.js';
+import { buildLitActionCode } from '../../src/lit/litAction.js';
+import { removePolicy, usePolicy } from '../support/policy.js';
+
+const policy = normalizePolicy(JSON.parse(fs.readFileSync('config/policy.example.json', 'utf8')));
+
+const TOKEN = '0x0000000000000000000000000000000000001234';
+const SETTLEMENT = '0x0000000000000000000000000000000000005678';
+const ALLOWED_RECIPIENT = '0x00000000000000000000000000000000000000aa';
+const OTHER = '0x00000000000000000000000000000000000000cc';
+const PKP = new ethers.Wallet(process.env.ETHEREUM_PRIVATE_KEY);
+
+const token = new ethers.utils.Interface([
+  'function transfer(address to, uint256 amount)',
+  'function burn(uint256 amount)'
+]);
+const transfer = (to: string, amount: ethers.BigNumberish, value = 0) => ({
+  to: TOKEN,
+  data: token.encodeFunctionData('transfer', [to, amount]),
+  value
+});
+
+const permit = (spender: string) => ({
+  kind: 'typedData',
+  domain: { name: 'Token', verifyingContract: TOKEN },
+  primaryType: 'Permit',
+  value: { owner: PKP.address, spender, value: '1000' }
+});
+
+describe('signing policy', () => {
+  describe('transactions', () => {
+    it('allows a listed function with arguments inside their bounds', () => {
+      expect(checkTransactionPolicy(policy, 'dashboard', transfer(ALLOWED_RECIPIENT, ethers.utils.parseEther('1')))).to.equal(null);
+    });
+
+    it('rejects arguments outside their bounds', () => {
+      expect(checkTransactionPolicy(policy, 'dashboard', transfer(OTHER, 1))).to.match(/Argument 0 .* not one of the allowed values/);
+      expect(checkTransactionPolicy(policy, 'dashboard', transfer(ALLOWED_RECIPIENT, ethers.utils.parseEther('1001'))))
+        .to.match(/Argument 1 .* above the maximum/);
+    });
+
+    it('rejects functions and contracts that are not listed', () => {
+      expect(checkTransactionPolicy(policy, 'dashboard', { to: TOKEN, data: token.encodeFunctionData('burn', [1]) }))
+        .to.match(/Function 0x42966c68 is not allowed/);
+      expect(checkTransactionPolicy(policy, 'dashboard', { to: OTHER, data: '0x' })).to.match(/Contract .* is not allowed/);
+    });
+
+    it('enforces the client and contract value limits', () => {
+      expect(checkTransactionPolicy(policy, 'dashboard', transfer(ALLOWED_RECIPIENT, 1, ethers.utils.parseEther('0.2').toString())))
+        .to.match(/limit of 0.1 for/);
+      expect(checkTransactionPolicy(policy, 'settlement-worker', { to: SETTLEMENT, data: '0x', value: 1 }))
+        .to.match(/limit of 0.0 for client settlement-worker/);
+    });
+
+    it('only lets clients with deploy rights create contracts', () => {
+      expect(checkTransactionPolicy(policy, 'dashboard', { data: '0x6000' })).to.equal(null);
+      expect(checkTransactionPolicy(policy, 'settlement-worker', { data: '0x6000' })).to.match(/may not deploy contracts/);
+    });
+
+    it('lets a PKP cancel with a zero value transfer to itself', () => {
+      const cancel = { to: PKP.address, data: '0x', value: 0 };
+      expect(checkTransactionPolicy(policy, 'settlement-worker', cancel, PKP.address)).to.equal(null);
+      // Without the sender it is just a transfer to an unlisted address
+      expect(checkTransactionPolicy(policy, 'settlement-worker', cancel)).to.match(/is not allowed/);
+    });
+
+    it('rejects clients the policy does not list', () => {
+      expect(checkTransactionPolicy(policy, 'unknown', transfer(ALLOWED_RECIPIENT, 1))).to.equal('Client unknown has no signing policy');
+    });
+  });
+
+  describe('messages', () => {
+    it('only signs personal messages for clients that opted in', () => {
+      expect(checkMessagePolicy(policy, 'dashboard', { kind: 'message' })).to.equal(null);
+      expect(checkMessagePolicy(policy, 'settlement-worker', { kind: 'message' })).to.match(/may not sign personal messages/);
+    });
+
+    it('checks typed data fields against their rules', () => {
+      expect(checkMessagePolicy(policy, 'dashboard', permit(ALLOWED_RECIPIENT))).to.equal(null);
+      expect(checkMessagePolicy(policy, 'dashboard', permit(OTHER))).to.match(/Field spender of Permit/);
+    });
+  });
+
+  describe('loading', () => {
+    it('allows nothing without a policy', () => {
+      expect(checkTransactionPolicy(null, 'dashboard', transfer(ALLOWED_RECIPIENT, 1))).to.equal('No signing policy is loaded');
+      expect(checkMessagePolicy(null, 'dashboard', { kind: 'message' })).to.equal('No signing policy is loaded');
+    });
+
+    it('fails closed until the policy file exists, then picks it up', async () => {
+      await removePolicy();
+      expect(getPolicyStatus().mode).to.equal('missing');
+      expect(() => assertTransactionAllowed('dashboard', transfer(ALLOWED_RECIPIENT, 1)))
+        .to.throw('No signing policy is loaded')
+        .with.property('statusCode', 403);
+
+      await usePolicy();
+
+      expect(() => assertTransactionAllowed('dashboard', transfer(ALLOWED_RECIPIENT, 1))).not.to.throw();
+      expect(() => assertTransactionAllowed('dashboard', transfer(OTHER, 1))).to.throw(/not one of the allowed values/);
+    });
+  });
+
+  describe('Lit Action', () => {
+    const signingKey = new ethers.utils.SigningKey(PKP.privateKey);
+
+    // Runs the action code as the Lit nodes would, with signing done by the PKP's key locally
+    const runAction = async (boundClientId: string | null, jsParams: Record<string, unknown>) => {
+      let response = null;
+      const Lit = {
+        Actions: {
+          setResponse: ({ response: value }) => {
+            response = JSON.parse(value);
+          },
+          signAndCombineEcdsa: async ({ toSign }) => {
+            const signature = signingKey.signDigest(toSign);
+            return JSON.stringify({ r: `00${signature.r.slice(2)}`, s: signature.s.slice(2), v: signature.recoveryParam });
+          }
+        }
+      };
+      await vm.runInNewContext(buildLitActionCode(policy, boundClientId), { ethers, Lit, ...jsParams });
+      return response;
+    };
+
+    const batch = (clientId: string, transactions: Array<Record<string, unknown>>) => ({
+      mode: 'batch',
+      clientId,
+      publicKey: PKP.publicKey,
+      transactions: transactions.map((transaction) => {
+        const unsignedTransaction = { type: 2, chainId: 5000, nonce: 0, gasLimit: 100000, maxFeePerGas: 1, maxPriorityFeePerGas: 1, ...transaction };
+        return {
+          unsignedTransaction,
+          toSign: ethers.utils.arrayify(ethers.utils.keccak256(ethers.utils.serializeTransaction(unsignedTransaction)))
+        };
+      })
+    });
+
+    it('signs what the embedded policy allows and stops at the first violation', async () => {
+      const { signed } = await runAction(null, batch('dashboard', [transfer(ALLOWED_RECIPIENT, 1), transfer(OTHER, 1), transfer(ALLOWED_RECIPIENT, 2)]));
+
+      expect(signed).to.have.length(2);
+      expect(signed[0].errorCode).to.equal(null);
+      expect(ethers.utils.parseTransaction(signed[0].signedTransaction).from).to.equal(PKP.address);
+      expect(signed[1].errorCode).to.equal('POLICY_VIOLATION');
+    });
+
+    it('refuses a hash that is not the transaction it comes with', async () => {
+      const params = batch('dashboard', [transfer(ALLOWED_RECIPIENT, 1)]);
+      params.transactions[0].unsignedTransaction = { ...params.transactions[0].unsignedTransaction, to: OTHER };
+
+      const { signed } = await runAction(null, params);
+
+      expect(signed[0].errorCode).to.equal('HASH_MISMATCH');
+    });
+
+    it('only signs for the client a PKP is bound to', async () => {
+      const response = await runAction('settlement-worker', batch('dashboard', [transfer(ALLOWED_RECIPIENT, 1)]));
+
+      expect(response.errorCode).to.equal('POLICY_VIOLATION');
+      expect(response.errorMessage).to.equal('This PKP only signs for client settlement-worker');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { DATA_DIR } from '../support/env.js';
+import fs from 'fs';
+import path from 'path';
+import { expect } from 'chai';
+import { createStore, flushStores } from '../../src/store/index.js';
+
+const onDisk = (name: string) => {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+};
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('JSON store', () => {
+  it('writes every change right away without a delay', () => {
+    const store = createStore('store-immediate', { writeDelayMs: 0 });
+
+    store.set('a', { n: 1 });
+    expect(onDisk('store-immediate')).to.deep.equal({ a: { n: 1 } });
+
+    store.delete('a');
+    expect(onDisk('store-immediate')).to.deep.equal({});
+  });
+
+  it('batches changes made within the delay into one write', async () => {
+    const store = createStore('store-batched', { writeDelayMs: 30 });
+    const writes: string[] = [];
+    const writeFileSync = fs.writeFileSync;
+    fs.writeFileSync = ((file: string, ...rest: any[]) => {
+      writes.push(file);
+      return (writeFileSync as any)(file, ...rest);
+    }) as typeof fs.writeFileSync;
+
+    try {
+      store.set('a', { n: 1 });
+      store.update('a', { n: 2 });
+      store.set('b', { n: 3 });
+
+      // Reads see the changes before they reach the disk
+      expect(store.get('a')).to.include({ n: 2 });
+      expect(onDisk('store-batched')).to.equal(null);
+
+      await sleep(60);
+    } finally {
+      fs.writeFileSync = writeFileSync;
+    }
+
+    expect(writes).to.have.length(1);
+    expect(onDisk('store-batched')).to.deep.include({ b: { n: 3 } });
+    expect(onDisk('store-batched').a).to.include({ n: 2 });
+  });
+
+  it('writes pending changes on flush', () => {
+    const first = createStore('store-flushed', { writeDelayMs: 60000 });
+    const second = createStore('store-flushed-too', { writeDelayMs: 60000 });
+
+    first.set('a', { n: 1 });
+    first.flush();
+    expect(onDisk('store-flushed')).to.deep.equal({ a: { n: 1 } });
+
+    second.set('b', { n: 2 });
+    flushStores();
+    expect(onDisk('store-flushed-too')).to.deep.equal({ b: { n: 2 } });
+  });
+});
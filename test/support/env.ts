@@ -0,0 +1,37 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Imported first by every spec: modules read their configuration when they are loaded,
+// so the environment has to be in place before anything from src/ is imported.
+
+export const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lit-backend-test-'));
+
+// Port for the IPFS pinning stub, whose URL is read when src/lit/pinnedAction.js loads;
+// per process so parallel runs don't collide
+export const IPFS_PIN_PORT = 20000 + (process.pid % 20000);
+
+Object.assign(process.env, {
+  DATA_DIR,
+  POLICY_FILE: path.join(DATA_DIR, 'policy.json'),
+  POLICY_RELOAD_INTERVAL_MS: '20',
+  API_CLIENTS_FILE: path.join(DATA_DIR, 'clients.json'),
+  API_CLIENTS_RELOAD_INTERVAL_MS: '20',
+  PINATA_JWT: 'test-jwt',
+  LIT_ACTION_IPFS_PIN_URL: `http://127.0.0.1:${IPFS_PIN_PORT}/pin`,
+  JOB_POLL_INTERVAL_MS: '20',
+  JOB_RETRY_BASE_MS: '20',
+  JOB_CONFIRMATIONS: '1',
+  INDEXER_POLL_INTERVAL_MS: '20',
+  INDEXER_START_BLOCK: '1',
+  FUNDING_CONFIG_FILE: path.join(DATA_DIR, 'funding-rules.json'),
+  FUNDING_CONFIRMATION_TIMEOUT_MS: '300',
+  // Nothing left to write when DATA_DIR is removed on exit
+  STORE_WRITE_DELAY_MS: '0'
+});
+// Throwaway key; nothing is ever sent with it
+process.env.ETHEREUM_PRIVATE_KEY ||= '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+process.on('exit', () => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
@@ -0,0 +1,32 @@
+import { DATA_DIR } from './env.js';
+import fs from 'fs';
+import path from 'path';
+import * as ethers from 'ethers';
+
+// PKPs in the registry before any test runs. Stores read their file on first use and mocha
+// loads every spec before running one, so specs that need these import this module.
+
+const createdAt = new Date().toISOString();
+
+const pkp = (label: string, clientId: string | null) => {
+  const wallet = new ethers.Wallet(ethers.utils.id(label));
+  return {
+    label,
+    publicKey: wallet.publicKey,
+    ethAddress: wallet.address,
+    tokenId: null,
+    clientId,
+    actionCid: null,
+    source: 'minted',
+    createdAt
+  };
+};
+
+export const SHARED_PKP = pkp('treasury', null);
+export const DASHBOARD_PKP = pkp('Dashboard-Hot', 'dashboard');
+export const WORKER_PKP = pkp('worker-hot', 'settlement-worker');
+
+fs.writeFileSync(
+  path.join(DATA_DIR, 'pkps.json'),
+  JSON.stringify(Object.fromEntries([SHARED_PKP, DASHBOARD_PKP, WORKER_PKP].map((record) => [record.ethAddress.toLowerCase(), record])))
+);
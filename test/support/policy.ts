@@ -0,0 +1,15 @@
+import fs from 'fs';
+import { getPolicyStatus } from '../../src/policy/index.js';
+import { waitFor } from './rpc.js';
+
+// Put a policy file in place and wait for the watcher to load it
+export const usePolicy = async (file = 'config/policy.example.json') => {
+  fs.copyFileSync(file, process.env.POLICY_FILE);
+  await waitFor(() => getPolicyStatus().mode === 'enforced');
+};
+
+// Remove the policy file and wait until nothing is signed
+export const removePolicy = async () => {
+  fs.rmSync(process.env.POLICY_FILE, { force: true });
+  await waitFor(() => getPolicyStatus().mode === 'missing');
+};
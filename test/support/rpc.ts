@@ -0,0 +1,54 @@
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { LIT_CHAINS } from '@lit-protocol/constants';
+
+type Handler = (params: any[]) => unknown;
+
+// Minimal JSON-RPC server for code that talks to a chain through getProvider.
+// Methods without a handler answer with a JSON-RPC error.
+export const startRpcServer = async (handlers: Record<string, Handler>) => {
+  const answer = (call: { id: number; method: string; params: any[] }) => {
+    const handler = handlers[call.method];
+    if (!handler) {
+      return { jsonrpc: '2.0', id: call.id, error: { code: -32601, message: `${call.method} is not mocked` } };
+    }
+    try {
+      return { jsonrpc: '2.0', id: call.id, result: handler(call.params) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id: call.id, error: { code: -32000, message: error.message } };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(request) ? request.map(answer) : answer(request)));
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${(server.address() as AddressInfo).port}`,
+    close: () => new Promise<void>((resolve) => server.close(() => resolve()))
+  };
+};
+
+// Send a Lit chain's RPC traffic to the mock; only works before the chain's provider is first created
+export const useRpcUrl = (chain: string, url: string) => {
+  LIT_CHAINS[chain].rpcUrls[0] = url;
+};
+
+export const waitFor = async (condition: () => boolean, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};